@@ -0,0 +1,826 @@
+// FAA registry files as both the web service and the refresh job read them:
+// the column maps, CSV field parsing, the sorted key index, and the aircraft
+// age and model names computed from a registry row.
+const path = require('path');
+const fs = require('fs');
+const fsp = require('fs/promises');
+const readline = require('readline');
+
+function envPositiveInt(raw, fallback) {
+  const n = Number(raw);
+  return Math.max(0, Math.trunc(Number.isFinite(n) ? n : fallback));
+}
+
+const AIRCRAFT_FAMILIES_FILE = String(process.env.AIRCRAFT_FAMILIES_FILE || '').trim()
+  ? path.resolve(String(process.env.AIRCRAFT_FAMILIES_FILE).trim())
+  : path.join(__dirname, 'data', 'aircraft-families.json');
+
+// FAA columns are resolved by header name when a file is opened, so a reordered
+// header (or quirks like MASTER's " KIT MODEL") still maps to the right field.
+// A missing required column is an error rather than a silently wrong answer;
+// optional columns only feed the registry details and read as blank if absent.
+const MASTER_COLUMNS = {
+  N_NUMBER: 'N-NUMBER',
+  MFR_MDL_CODE: 'MFR MDL CODE',
+  YEAR_MFR: 'YEAR MFR',
+  KIT_MFR: 'KIT MFR',
+  KIT_MODEL: 'KIT MODEL',
+  SERIAL_NUMBER: { name: 'SERIAL NUMBER', optional: true },
+  ENG_MFR_MDL: { name: 'ENG MFR MDL', optional: true },
+  TYPE_REGISTRANT: { name: 'TYPE REGISTRANT', optional: true },
+  NAME: { name: 'NAME', optional: true },
+  LAST_ACTION_DATE: { name: 'LAST ACTION DATE', optional: true },
+  CERT_ISSUE_DATE: { name: 'CERT ISSUE DATE', optional: true },
+  CERTIFICATION: { name: 'CERTIFICATION', optional: true },
+  TYPE_AIRCRAFT: { name: 'TYPE AIRCRAFT', optional: true },
+  TYPE_ENGINE: { name: 'TYPE ENGINE', optional: true },
+  STATUS_CODE: { name: 'STATUS CODE', optional: true },
+  MODE_S_CODE: { name: 'MODE S CODE', optional: true },
+  AIR_WORTH_DATE: { name: 'AIR WORTH DATE', optional: true },
+  EXPIRATION_DATE: { name: 'EXPIRATION DATE', optional: true },
+  MODE_S_CODE_HEX: { name: 'MODE S CODE HEX', optional: true },
+};
+
+const ACFTREF_COLUMNS = {
+  CODE: 'CODE',
+  MFR: 'MFR',
+  MODEL: 'MODEL',
+  TYPE_ACFT: 'TYPE-ACFT',
+  TYPE_ENG: { name: 'TYPE-ENG', optional: true },
+  AC_CAT: { name: 'AC-CAT', optional: true },
+  NO_ENG: { name: 'NO-ENG', optional: true },
+  NO_SEATS: { name: 'NO-SEATS', optional: true },
+  AC_WEIGHT: { name: 'AC-WEIGHT', optional: true },
+};
+
+// Record property -> column key, for the fields each lookup returns.
+const MASTER_RECORD_FIELDS = {
+  year: 'YEAR_MFR',
+  name: 'NAME',
+  mfrMdlCode: 'MFR_MDL_CODE',
+  kitManufacturer: 'KIT_MFR',
+  kitModel: 'KIT_MODEL',
+  serialNumber: 'SERIAL_NUMBER',
+  engMfrMdlCode: 'ENG_MFR_MDL',
+  registrantType: 'TYPE_REGISTRANT',
+  lastActionDate: 'LAST_ACTION_DATE',
+  certIssueDate: 'CERT_ISSUE_DATE',
+  certification: 'CERTIFICATION',
+  typeAircraft: 'TYPE_AIRCRAFT',
+  typeEngine: 'TYPE_ENGINE',
+  statusCode: 'STATUS_CODE',
+  modeSCode: 'MODE_S_CODE',
+  airWorthDate: 'AIR_WORTH_DATE',
+  expirationDate: 'EXPIRATION_DATE',
+  modeSCodeHex: 'MODE_S_CODE_HEX',
+};
+
+const DEREG_RECORD_FIELDS = {
+  year: 'YEAR_MFR',
+  mfrMdlCode: 'MFR_MDL_CODE',
+  kitManufacturer: 'KIT_MFR',
+  kitModel: 'KIT_MODEL',
+  serialNumber: 'SERIAL_NUMBER',
+  engMfrMdlCode: 'ENG_MFR_MDL',
+  lastActionDate: 'LAST_ACT_DATE',
+  certIssueDate: 'CERT_ISSUE_DATE',
+  certification: 'CERTIFICATION',
+  statusCode: 'STATUS_CODE',
+  modeSCode: 'MODE_S_CODE',
+  airWorthDate: 'AIR_WORTH_DATE',
+  modeSCodeHex: 'MODE_S_CODE_HEX',
+  cancelDate: 'CANCEL_DATE',
+  exportCountry: 'EXP_COUNTRY',
+};
+
+const ACFTREF_RECORD_FIELDS = {
+  manufacturer: 'MFR',
+  model: 'MODEL',
+  typeAcft: 'TYPE_ACFT',
+  typeEngine: 'TYPE_ENG',
+  aircraftCategory: 'AC_CAT',
+  engineCount: 'NO_ENG',
+  seatCount: 'NO_SEATS',
+  weightClass: 'AC_WEIGHT',
+};
+
+// ENGINE.txt: one row per engine make/model, keyed by MASTER's ENG MFR MDL.
+const ENGINE_COLUMNS = {
+  CODE: 'CODE',
+  MFR: 'MFR',
+  MODEL: 'MODEL',
+  TYPE: { name: 'TYPE', optional: true },
+  HORSEPOWER: { name: 'HORSEPOWER', optional: true },
+  THRUST: { name: 'THRUST', optional: true },
+};
+
+const ENGINE_RECORD_FIELDS = {
+  manufacturer: 'MFR',
+  model: 'MODEL',
+  type: 'TYPE',
+  horsepower: 'HORSEPOWER',
+  thrust: 'THRUST',
+};
+
+// DEREG.txt spells its headers with hyphens (YEAR-MFR); normalized header
+// names make them equal to the MASTER spellings.
+const DEREG_COLUMNS = {
+  N_NUMBER: 'N-NUMBER',
+  MFR_MDL_CODE: 'MFR-MDL-CODE',
+  YEAR_MFR: 'YEAR-MFR',
+  STATUS_CODE: 'STATUS-CODE',
+  CANCEL_DATE: 'CANCEL-DATE',
+  SERIAL_NUMBER: { name: 'SERIAL-NUMBER', optional: true },
+  ENG_MFR_MDL: { name: 'ENG-MFR-MDL', optional: true },
+  CERTIFICATION: { name: 'CERTIFICATION', optional: true },
+  AIR_WORTH_DATE: { name: 'AIR-WORTH-DATE', optional: true },
+  MODE_S_CODE: { name: 'MODE-S-CODE', optional: true },
+  EXP_COUNTRY: { name: 'EXP-COUNTRY', optional: true },
+  LAST_ACT_DATE: { name: 'LAST-ACT-DATE', optional: true },
+  CERT_ISSUE_DATE: { name: 'CERT-ISSUE-DATE', optional: true },
+  KIT_MFR: { name: 'KIT MFR', optional: true },
+  KIT_MODEL: { name: 'KIT MODEL', optional: true },
+  MODE_S_CODE_HEX: { name: 'MODE S CODE HEX', optional: true },
+};
+
+const FAA_FILE_COLUMNS = {
+  MASTER: MASTER_COLUMNS,
+  ACFTREF: ACFTREF_COLUMNS,
+  DEREG: DEREG_COLUMNS,
+  ENGINE: ENGINE_COLUMNS,
+};
+
+const CSV_READ_HIGH_WATER_MARK = envPositiveInt(
+  process.env.CSV_READ_HIGH_WATER_MARK,
+  256 * 1024
+);
+
+function stripLeadingBom(value) {
+  const str = String(value || '');
+  if (str.length > 0 && str.charCodeAt(0) === 0xfeff) return str.slice(1);
+  return str;
+}
+
+function stripAllQuotes(value) {
+  const str = String(value || '');
+  if (str.indexOf('"') === -1) return str;
+  let out = '';
+  for (let i = 0; i < str.length; i++) {
+    const ch = str[i];
+    if (ch !== '"') out += ch;
+  }
+  return out;
+}
+
+function toUpperIfNeeded(value) {
+  const str = String(value || '');
+  for (let i = 0; i < str.length; i++) {
+    const code = str.charCodeAt(i);
+    if (code >= 97 && code <= 122) return str.toUpperCase();
+  }
+  return str;
+}
+
+function normalizeNNumberField(value) {
+  return toUpperIfNeeded(stripAllQuotes(stripLeadingBom(value)).trim());
+}
+
+function readFirstCsvField(line) {
+  const str = String(line || '');
+  if (!str) return '';
+
+  if (str[0] !== '"') {
+    const comma = str.indexOf(',');
+    if (comma === -1) return str;
+    return str.slice(0, comma);
+  }
+
+  let inQuotes = true;
+  let field = '';
+
+  for (let i = 1; i < str.length; i++) {
+    const ch = str[i];
+    if (inQuotes) {
+      if (ch === '"') {
+        if (str[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += ch;
+      }
+      continue;
+    }
+
+    if (ch === ',') break;
+  }
+
+  return field;
+}
+
+function makeWantedCsvIndices(indices) {
+  const unique = Array.from(new Set(indices)).filter((n) => Number.isFinite(n) && n >= 0);
+  unique.sort((a, b) => a - b);
+  return {
+    indices: unique,
+    set: new Set(unique),
+    max: unique.length ? unique[unique.length - 1] : -1,
+  };
+}
+
+function parseCsvFieldsAt(line, wanted) {
+  const str = String(line || '');
+  if (!str) return new Map();
+
+  let fieldIndex = 0;
+  let inQuotes = false;
+  let collect = wanted.set.has(0);
+  let field = collect ? '' : null;
+
+  const out = new Map();
+
+  for (let i = 0; i < str.length; i++) {
+    const ch = str[i];
+
+    if (inQuotes) {
+      if (ch === '"') {
+        if (str[i + 1] === '"') {
+          if (collect) field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else if (collect) {
+        field += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"') {
+      inQuotes = true;
+      continue;
+    }
+
+    if (ch === ',') {
+      if (collect) out.set(fieldIndex, field);
+      if (fieldIndex >= wanted.max) return out;
+
+      fieldIndex++;
+      collect = wanted.set.has(fieldIndex);
+      field = collect ? '' : null;
+      continue;
+    }
+
+    if (collect) field += ch;
+  }
+
+  if (collect) out.set(fieldIndex, field);
+  return out;
+}
+
+function parseAllCsvFields(line) {
+  const str = String(line || '');
+  const out = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < str.length; i++) {
+    const ch = str[i];
+    if (inQuotes) {
+      if (ch === '"') {
+        if (str[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      out.push(field);
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+
+  out.push(field);
+  return out;
+}
+
+function normalizeCsvHeaderName(value) {
+  return stripAllQuotes(stripLeadingBom(value))
+    .trim()
+    .toUpperCase()
+    .replace(/[\s_-]+/g, ' ');
+}
+
+function resolveCsvColumns(headerLine, columns, label) {
+  const names = parseAllCsvFields(headerLine).map(normalizeCsvHeaderName);
+  const resolved = {};
+  const missing = [];
+
+  for (const [key, spec] of Object.entries(columns)) {
+    const name = typeof spec === 'string' ? spec : spec.name;
+    const idx = names.indexOf(normalizeCsvHeaderName(name));
+    if (idx !== -1) resolved[key] = idx;
+    else if (typeof spec === 'string' || !spec.optional) missing.push(name);
+  }
+
+  if (missing.length) {
+    const err = new Error(`${label} header is missing required column(s): ${missing.join(', ')}`);
+    err.code = 'FAA_FORMAT';
+    throw err;
+  }
+  return resolved;
+}
+
+function readCsvKeyField(line, col) {
+  if (col === 0) return readFirstCsvField(line);
+  const wanted = makeWantedCsvIndices([col]);
+  return parseCsvFieldsAt(line, wanted).get(col) || '';
+}
+
+function isProbablyMissingDataError(err) {
+  if (!err) return false;
+  if (err.code === 'ENOENT') return true;
+  if (err.code === 404 || err.statusCode === 404) return true;
+  if (String(err.message || '').toLowerCase().includes('no such object')) return true;
+  return false;
+}
+
+function isIgnorableEarlyCloseError(err) {
+  if (!err) return false;
+  return (
+    err.code === 'ERR_STREAM_PREMATURE_CLOSE' ||
+    err.code === 'ECONNRESET' ||
+    String(err.message || '').toLowerCase().includes('premature close')
+  );
+}
+
+function coerceCsvSource(value, defaultPath) {
+  if (value && typeof value.createReadStream === 'function') return value;
+  if (typeof value === 'function') return { createReadStream: value, id: 'custom-stream' };
+
+  const csvPath = typeof value === 'string' ? value : defaultPath;
+  return {
+    id: csvPath,
+    createReadStream: (range) =>
+      fs.createReadStream(csvPath, {
+        encoding: 'utf8',
+        highWaterMark: CSV_READ_HIGH_WATER_MARK,
+        ...range,
+      }),
+    byteLength: async () => (await fsp.stat(csvPath)).size,
+  };
+}
+
+// FAA headers are a few hundred bytes; a bounded range keeps GCS reads small.
+const CSV_HEADER_MAX_BYTES = 16 * 1024;
+
+function readCsvHeaderLine(source) {
+  return new Promise((resolve, reject) => {
+    const stream = source.createReadStream({ start: 0, end: CSV_HEADER_MAX_BYTES - 1 });
+    const rl = readline.createInterface({ input: stream, crlfDelay: Infinity });
+    let settled = false;
+    let header = null;
+
+    function done(err) {
+      if (settled) return;
+      settled = true;
+      if (err && !(header !== null && isIgnorableEarlyCloseError(err))) reject(err);
+      else resolve(header || '');
+    }
+
+    rl.on('line', (line) => {
+      if (header !== null || !line) return;
+      header = line;
+      rl.close();
+      stream.destroy();
+    });
+
+    rl.on('close', () => done());
+    rl.on('error', done);
+    stream.on('error', done);
+  });
+}
+
+async function checkFaaCsvHeader(label, csvPathOrSource) {
+  const source = coerceCsvSource(csvPathOrSource, csvPathOrSource);
+  return resolveCsvColumns(await readCsvHeaderLine(source), FAA_FILE_COLUMNS[label], label);
+}
+
+// Sorted key index built by scripts/refresh-faa.js next to master.csv so point
+// lookups are a binary search plus one ranged read instead of a full scan.
+// Layout: 24-byte header (magic, record count, key width, source byte length),
+// then fixed-width records of [key (NUL padded), uint32 offset, uint32 length].
+const CSV_INDEX_MAGIC = 'PAIDX001';
+const CSV_INDEX_HEADER_BYTES = 24;
+
+// Writes one sorted key index per entry of `indexes` ({ indexPath, keyColumn })
+// from a single read of csvPath. With `onRecord`, every data row is also handed
+// over as a record of `fields`, as scanCsvRecords does, so other consumers can
+// share the pass.
+async function buildCsvKeyIndexes(
+  csvPath,
+  indexes,
+  { label = 'MASTER', fields = {}, onRecord = null } = {}
+) {
+  const builds = indexes.map((index) => ({ ...index, keyCol: null, entries: [] }));
+  let cols = null;
+  let sourceBytes = 0;
+  let carry = null;
+
+  const handleLine = (buf, start, end, offset) => {
+    let stop = end;
+    if (stop > start && buf[stop - 1] === 0x0d) stop--;
+    if (stop <= start) return;
+
+    const line = buf.toString('utf8', start, stop);
+    if (cols === null) {
+      for (const b of builds) b.keyCol = resolveCsvColumns(line, { KEY: b.keyColumn }, label).KEY;
+      cols = onRecord ? resolveCsvColumns(line, FAA_FILE_COLUMNS[label], label) : {};
+      return;
+    }
+
+    for (const b of builds) {
+      const key = normalizeNNumberField(readCsvKeyField(line, b.keyCol));
+      if (key) b.entries.push({ key: Buffer.from(key, 'utf8'), offset, length: stop - start });
+    }
+    if (onRecord) onRecord(recordFromCsvLine(line, cols, fields));
+  };
+
+  const stream = fs.createReadStream(csvPath, { highWaterMark: CSV_READ_HIGH_WATER_MARK });
+  for await (const chunk of stream) {
+    const data = carry && carry.length ? Buffer.concat([carry, chunk]) : chunk;
+    const base = sourceBytes - (carry ? carry.length : 0);
+    let lineStart = 0;
+    let nl;
+    while ((nl = data.indexOf(0x0a, lineStart)) !== -1) {
+      handleLine(data, lineStart, nl, base + lineStart);
+      lineStart = nl + 1;
+    }
+    carry = data.subarray(lineStart);
+    sourceBytes += chunk.length;
+  }
+  if (carry && carry.length) handleLine(carry, 0, carry.length, sourceBytes - carry.length);
+  if (cols === null) for (const b of builds) resolveCsvColumns('', { KEY: b.keyColumn }, label);
+
+  const stats = [];
+  for (const b of builds) stats.push(await writeCsvKeyIndex(b.indexPath, b.entries, sourceBytes));
+  return stats;
+}
+
+async function buildCsvKeyIndex(
+  csvPath,
+  indexPath,
+  { label = 'MASTER', keyColumn = MASTER_COLUMNS.N_NUMBER } = {}
+) {
+  const [stats] = await buildCsvKeyIndexes(csvPath, [{ indexPath, keyColumn }], { label });
+  return stats;
+}
+
+async function writeCsvKeyIndex(indexPath, entries, sourceBytes) {
+  entries.sort((a, b) => Buffer.compare(a.key, b.key));
+
+  let keyWidth = 1;
+  for (const e of entries) keyWidth = Math.max(keyWidth, e.key.length);
+
+  const recordBytes = keyWidth + 8;
+  const out = Buffer.alloc(CSV_INDEX_HEADER_BYTES + entries.length * recordBytes);
+  out.write(CSV_INDEX_MAGIC, 0, 'latin1');
+  out.writeUInt32LE(entries.length, 8);
+  out.writeUInt16LE(keyWidth, 12);
+  out.writeBigUInt64LE(BigInt(sourceBytes), 16);
+
+  let uniqueKeys = 0;
+  const duplicateKeys = [];
+  entries.forEach((e, i) => {
+    const at = CSV_INDEX_HEADER_BYTES + i * recordBytes;
+    e.key.copy(out, at);
+    out.writeUInt32LE(e.offset, at + keyWidth);
+    out.writeUInt32LE(e.length, at + keyWidth + 4);
+    if (i === 0 || !entries[i - 1].key.equals(e.key)) uniqueKeys++;
+    else if (duplicateKeys.length < 10 && (i < 2 || !entries[i - 2].key.equals(e.key))) {
+      duplicateKeys.push(e.key.toString('utf8'));
+    }
+  });
+
+  await fsp.writeFile(indexPath, out);
+  return { rows: entries.length, uniqueKeys, duplicateKeys, sourceBytes };
+}
+
+function parseCsvKeyIndex(buf) {
+  if (!Buffer.isBuffer(buf) || buf.length < CSV_INDEX_HEADER_BYTES) return null;
+  if (buf.toString('latin1', 0, 8) !== CSV_INDEX_MAGIC) return null;
+
+  const count = buf.readUInt32LE(8);
+  const keyWidth = buf.readUInt16LE(12);
+  const recordBytes = keyWidth + 8;
+  if (!keyWidth || buf.length !== CSV_INDEX_HEADER_BYTES + count * recordBytes) return null;
+
+  return {
+    buf,
+    count,
+    keyWidth,
+    recordBytes,
+    sourceBytes: Number(buf.readBigUInt64LE(16)),
+  };
+}
+
+function searchCsvKeyIndex(index, key) {
+  const needle = Buffer.alloc(index.keyWidth);
+  const raw = Buffer.from(String(key || ''), 'utf8');
+  if (!raw.length || raw.length > index.keyWidth) return [];
+  raw.copy(needle);
+
+  const compareAt = (i) => {
+    const at = CSV_INDEX_HEADER_BYTES + i * index.recordBytes;
+    return index.buf.compare(needle, 0, index.keyWidth, at, at + index.keyWidth);
+  };
+
+  let lo = 0;
+  let hi = index.count;
+  while (lo < hi) {
+    const mid = (lo + hi) >>> 1;
+    if (compareAt(mid) < 0) lo = mid + 1;
+    else hi = mid;
+  }
+
+  const matches = [];
+  for (let i = lo; i < index.count && compareAt(i) === 0; i++) {
+    const at = CSV_INDEX_HEADER_BYTES + i * index.recordBytes + index.keyWidth;
+    matches.push({ offset: index.buf.readUInt32LE(at), length: index.buf.readUInt32LE(at + 4) });
+  }
+  return matches;
+}
+
+function recordFromCsvLine(line, cols, fieldMap) {
+  const wanted = makeWantedCsvIndices(Object.values(fieldMap).map((key) => cols[key]));
+  const fields = parseCsvFieldsAt(line, wanted);
+  const record = {};
+  for (const [prop, key] of Object.entries(fieldMap)) {
+    record[prop] = cols[key] === undefined ? '' : String(fields.get(cols[key]) || '').trim();
+  }
+  return record;
+}
+
+// Streams every data row of an FAA file through `onRecord`, with fields picked
+// by `fieldMap` (record property -> column key). Resolves to the row count.
+function scanCsvRecords(csvPathOrSource, label, fieldMap, onRecord) {
+  return new Promise((resolve, reject) => {
+    const source = coerceCsvSource(csvPathOrSource, csvPathOrSource);
+    const stream = source.createReadStream();
+
+    const rl = readline.createInterface({ input: stream, crlfDelay: Infinity });
+    let settled = false;
+    let cols = null;
+    let rows = 0;
+
+    function done(err) {
+      if (settled) return;
+      settled = true;
+      if (err) reject(err);
+      else if (!cols) reject(new Error(`${label} file is empty: ${source.id}`));
+      else resolve(rows);
+    }
+
+    rl.on('line', (line) => {
+      if (settled || !line) return;
+
+      try {
+        if (!cols) {
+          cols = resolveCsvColumns(line, FAA_FILE_COLUMNS[label], label);
+          return;
+        }
+        rows++;
+        onRecord(recordFromCsvLine(line, cols, fieldMap));
+      } catch (err) {
+        done(err);
+        rl.close();
+        stream.destroy();
+      }
+    });
+
+    rl.on('close', () => done());
+    rl.on('error', done);
+    stream.on('error', done);
+  });
+}
+
+// Registrant names as the fleet summary keys them ("DELTA AIR LINES INC"),
+// and the URL slug for one ("delta-air-lines-inc").
+function normalizeOperatorName(value) {
+  return String(value || '').trim().replace(/\s+/g, ' ').toUpperCase();
+}
+
+function fleetSlug(value) {
+  return String(value || '')
+    .toLowerCase()
+    .replace(/[^0-9a-z]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+const aircraftFamilyTableCache = new Map();
+
+// data/aircraft-families.json maps ACFTREF manufacturers to display names
+// ({ match, name }) and, per display manufacturer, models to a marketing
+// family and variant ({ manufacturer, model, family, variant }). `match` and
+// `model` are regular expressions; `$1`-`$9` in family/variant expand to
+// their groups. The first matching rule wins.
+function loadAircraftFamilies(filePath = AIRCRAFT_FAMILIES_FILE) {
+  if (aircraftFamilyTableCache.has(filePath)) return aircraftFamilyTableCache.get(filePath);
+
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    if (err && err.code === 'ENOENT') parsed = {};
+    else throw new Error(`${filePath}: unreadable aircraft family table (${err.message})`);
+  }
+
+  const pattern = (value) => {
+    try {
+      return new RegExp(String(value || ''));
+    } catch (err) {
+      throw new Error(`${filePath}: invalid pattern ${JSON.stringify(value)} (${err.message})`);
+    }
+  };
+  const list = (key) => (parsed && Array.isArray(parsed[key]) ? parsed[key] : []);
+
+  const table = {
+    manufacturers: list('manufacturers').map((entry) => {
+      if (!entry || !entry.match || !entry.name) {
+        throw new Error(`${filePath}: every manufacturer needs a match pattern and a name`);
+      }
+      return { match: pattern(entry.match), name: String(entry.name) };
+    }),
+    families: list('families').map((entry) => {
+      if (!entry || !entry.manufacturer || !entry.model || !entry.family || !entry.variant) {
+        throw new Error(`${filePath}: every family rule needs a manufacturer, model, family and variant`);
+      }
+      return {
+        manufacturers: [].concat(entry.manufacturer).map(String),
+        model: pattern(entry.model),
+        family: String(entry.family),
+        variant: String(entry.variant),
+      };
+    }),
+  };
+  aircraftFamilyTableCache.set(filePath, table);
+  return table;
+}
+
+function manufacturerDisplayName(manufacturer, table = loadAircraftFamilies()) {
+  const raw = String(manufacturer || '').trim().replace(/\s+/g, ' ').toUpperCase();
+  if (!raw) return '';
+  const known = table.manufacturers.find((m) => m.match.test(raw));
+  return known ? known.name : raw.toLowerCase().replace(/\b[a-z]/g, (c) => c.toUpperCase());
+}
+
+// "BOEING" / "737-8H4" -> { manufacturer: 'Boeing', family: 'Boeing 737',
+// variant: 'Boeing 737-800', name: 'Boeing 737-800', mapped: true }. A model
+// the table does not know keeps its raw model string in `name`.
+function normalizeAircraftModel(manufacturer, model, table = loadAircraftFamilies()) {
+  const displayManufacturer = manufacturerDisplayName(manufacturer, table);
+  const rawModel = String(model || '').trim().replace(/\s+/g, ' ').toUpperCase();
+  if (!displayManufacturer && !rawModel) return null;
+
+  for (const rule of table.families) {
+    if (!rule.manufacturers.includes(displayManufacturer)) continue;
+    const m = rawModel.match(rule.model);
+    if (!m) continue;
+    const expand = (template) => template.replace(/\$(\d)/g, (_, i) => m[i] || '');
+    const variant = expand(rule.variant);
+    const family = expand(rule.family);
+    return { manufacturer: displayManufacturer, family, variant, name: variant, mapped: true };
+  }
+  return {
+    manufacturer: displayManufacturer,
+    family: null,
+    variant: null,
+    name: [displayManufacturer, rawModel].filter(Boolean).join(' '),
+    mapped: false,
+  };
+}
+
+// The family an ACFTREF model is grouped under: the family table's, else
+// the model up to its first numbered part, so an unmapped "DHC-6-300" still
+// joins "DE HAVILLAND DHC-6".
+function modelFamilyName(manufacturer, model) {
+  const normalized = normalizeAircraftModel(manufacturer, model);
+  if (normalized && normalized.mapped) return normalized.family;
+
+  const parts = String(model || '').trim().toUpperCase().split(/([-\s]+)/);
+  let family = '';
+  for (let i = 0; i < parts.length; i += 2) {
+    family += (i ? parts[i - 1] : '') + parts[i];
+    if (/\d/.test(parts[i])) break;
+  }
+  const mfr = String(manufacturer || '').trim().toUpperCase();
+  return [mfr, family.trim()].filter(Boolean).join(' ') || null;
+}
+
+function formatFaaDate(value) {
+  const m = /^(\d{4})(\d{2})(\d{2})$/.exec(String(value || '').trim());
+  return m ? `${m[1]}-${m[2]}-${m[3]}` : null;
+}
+
+function parseIsoDateParts(value) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value || ''));
+  return m ? { y: Number(m[1]), m: Number(m[2]), d: Number(m[3]) } : null;
+}
+
+function formatAgeText(years, months, precision) {
+  const plural = (n, unit) => `${n} ${unit}${n === 1 ? '' : 's'}`;
+  if (precision !== 'month') return plural(years, 'year');
+  if (years && months) return `${plural(years, 'year')} ${plural(months, 'month')}`;
+  if (years) return plural(years, 'year');
+  return months ? plural(months, 'month') : 'Less than a month';
+}
+
+// Age as of the flight date. AIR WORTH DATE gives month precision, but it is
+// re-issued for rebuilt or imported airframes, so it is only trusted when it
+// falls in (or just after) the YEAR MFR; otherwise the year is used.
+function computeAircraftAge({ year, airWorthDate } = {}, asOfDate) {
+  const asOf = parseIsoDateParts(asOfDate);
+  if (!asOf) return null;
+
+  const mfrYear = /^\d{4}$/.test(String(year || '').trim()) ? Number(year) : null;
+  const airWorth = parseIsoDateParts(formatFaaDate(airWorthDate));
+  const airWorthUsable =
+    airWorth &&
+    (mfrYear === null || (airWorth.y >= mfrYear && airWorth.y <= mfrYear + 1));
+
+  if (airWorthUsable) {
+    let months = (asOf.y - airWorth.y) * 12 + (asOf.m - airWorth.m);
+    if (asOf.d < airWorth.d) months--;
+    months = Math.max(0, months);
+
+    const years = Math.floor(months / 12);
+    return {
+      years,
+      months: months % 12,
+      decimal: Math.floor((months / 12) * 10) / 10,
+      text: formatAgeText(years, months % 12, 'month'),
+      source: 'AIR WORTH DATE',
+      precision: 'month',
+      since: formatFaaDate(airWorthDate),
+      asOf: asOfDate,
+    };
+  }
+
+  if (mfrYear === null) return null;
+
+  const years = Math.max(0, asOf.y - mfrYear);
+  return {
+    years,
+    months: null,
+    decimal: years,
+    text: formatAgeText(years, null, 'year'),
+    source: 'YEAR MFR',
+    precision: 'year',
+    since: String(mfrYear),
+    asOf: asOfDate,
+  };
+}
+
+module.exports = {
+  MASTER_COLUMNS,
+  ACFTREF_COLUMNS,
+  DEREG_COLUMNS,
+  ENGINE_COLUMNS,
+  FAA_FILE_COLUMNS,
+  MASTER_RECORD_FIELDS,
+  DEREG_RECORD_FIELDS,
+  ACFTREF_RECORD_FIELDS,
+  ENGINE_RECORD_FIELDS,
+  CSV_READ_HIGH_WATER_MARK,
+  envPositiveInt,
+  normalizeNNumberField,
+  resolveCsvColumns,
+  readCsvKeyField,
+  isProbablyMissingDataError,
+  isIgnorableEarlyCloseError,
+  coerceCsvSource,
+  readCsvHeaderLine,
+  checkFaaCsvHeader,
+  buildCsvKeyIndex,
+  buildCsvKeyIndexes,
+  parseCsvKeyIndex,
+  searchCsvKeyIndex,
+  recordFromCsvLine,
+  scanCsvRecords,
+  normalizeOperatorName,
+  fleetSlug,
+  loadAircraftFamilies,
+  normalizeAircraftModel,
+  modelFamilyName,
+  formatFaaDate,
+  computeAircraftAge,
+};
@@ -4,10 +4,18 @@
   const form = $id('form');
   const viewSearch = $id('viewSearch');
   const viewResult = $id('viewResult');
+  const viewRoute = $id('viewRoute');
   const resultHeading = $id('resultHeading');
   const resultStatus = $id('resultStatus');
 
   const flightInput = $id('flightNumber');
+  const flightField = $id('flightField');
+  const tailInput = $id('tailNumber');
+  const tailField = $id('tailField');
+  const routeField = $id('routeField');
+  const routeFrom = $id('routeFrom');
+  const routeTo = $id('routeTo');
+  const modeInputs = form.querySelectorAll('input[name="mode"]');
   const dateInput = $id('date');
   const errorEl = $id('error');
 
@@ -21,18 +29,54 @@
   const flap0Text = $id('flap0Text');
   const flap1Text = $id('flap1Text');
   const flap2Text = $id('flap2Text');
+  const flap3 = $id('flap3');
+  const flap3Text = $id('flap3Text');
+  const flapPoint = $id('flapPoint');
+  const ageNote = $id('ageNote');
 
   const conditionDot = $id('conditionDot');
   const conditionText = $id('conditionText');
+  const typeAgeNote = $id('typeAgeNote');
   const aircraftType = $id('aircraftType');
   const mfrYear = $id('mfrYear');
   const tail = $id('tail');
+  const registryNote = $id('registryNote');
+  const registry = $id('registry');
+  const registryList = $id('registryList');
   const resetBtn = $id('reset');
+  const legPicker = $id('legPicker');
+  const legSelect = $id('legSelect');
+  const airlineSuggestions = $id('airlineSuggestions');
+  const flightLine = $id('flightLine');
+  const routeHeading = $id('routeHeading');
+  const routeLine = $id('routeLine');
+  const routeRows = $id('routeRows');
+  const routeReset = $id('routeReset');
 
   const ORIGINAL_BUTTON_TEXT = buttonText.textContent || 'Look up aircraft';
   const FETCH_TIMEOUT_MS = 15000;
   const ERR_UNAVAILABLE = 'Flight details currently unavailable.';
+  // What to show for each failure `code` the server sends. A code missing
+  // here falls back to the server's `message`.
+  const ERROR_MESSAGES = {
+    INVALID_INPUT: 'Check what you entered and try again.',
+    FLIGHT_NOT_FOUND: 'No flight with that number on that date. Check the number and date.',
+    NO_MATCHING_LEG: "This flight doesn't fly between those airports that day.",
+    NO_ROUTE_FLIGHTS: 'No flights found between those airports on that date.',
+    AIRCRAFT_NOT_ASSIGNED: "The airline hasn't assigned an aircraft yet. Check again closer to departure.",
+    REGISTRY_MISS: 'Not in the FAA registry (US N-numbers only).',
+    RATE_LIMITED: 'Too many searches. Wait a minute and try again.',
+    UPSTREAM_RATE_LIMITED: 'Flight data is busy. Try again in a few minutes, or search by tail number.',
+    UPSTREAM_TIMEOUT: 'Flight data took too long to answer. Try again.',
+    UPSTREAM_UNAVAILABLE: 'Flight data is unavailable. Try again shortly, or search by tail number.',
+    UPSTREAM_ERROR: 'Flight details are unavailable for this flight. Try searching by tail number.',
+    DATA_UNAVAILABLE: 'The aircraft registry is temporarily unavailable. Try again shortly.',
+    NOT_CONFIGURED: 'Flight lookups are not set up here. Search by tail number instead.',
+    SERVER_ERROR: 'Something went wrong on our side. Try again.',
+  };
   let animationToken = 0;
+  let currentLegs = [];
+  let airlines = null;
 
   function localToday() {
     const d = new Date();
@@ -40,17 +84,111 @@
     return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
   }
 
+  // Keeps what the server can resolve: IATA/ICAO designators ("DAL47") and
+  // airline names ("Delta 47"), and offers matching airlines while the input
+  // has no digits yet.
   function sanitizeFlightNumber(value) {
-    return String(value || '')
+    const next = String(value || '')
       .toUpperCase()
       .replace(/[^0-9A-Z\s]/g, '')
-      .slice(0, 10);
+      .slice(0, 30);
+    suggestAirlines(next);
+    return next;
+  }
+
+  function airlineKey(value) {
+    return String(value || '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toUpperCase()
+      .replace(/[^0-9A-Z ]/g, '');
+  }
+
+  function loadAirlines() {
+    if (airlines) return;
+    airlines = [];
+    getJson('/airlines')
+      .then(({ data }) => {
+        airlines = (data && Array.isArray(data.airlines) ? data.airlines : []).map((a) => ({
+          ...a,
+          key: airlineKey(a.name),
+        }));
+        suggestAirlines(flightInput.value);
+      })
+      .catch(() => {});
+  }
+
+  function suggestAirlines(value) {
+    const query = airlineKey(value).trim();
+    const matches =
+      !airlines || !query || /\d/.test(query)
+        ? []
+        : airlines
+            .filter(
+              (a) =>
+                (a.iata && a.iata.startsWith(query)) ||
+                (a.icao && a.icao.startsWith(query)) ||
+                a.key.startsWith(query) ||
+                a.key.includes(` ${query}`)
+            )
+            .slice(0, 8);
+
+    airlineSuggestions.replaceChildren(
+      ...matches.map((a) => {
+        const option = document.createElement('option');
+        option.value = a.iata || a.icao;
+        option.label = [a.name, a.iata, a.icao].filter(Boolean).join(' · ');
+        return option;
+      })
+    );
+  }
+
+  function sanitizeTailNumber(value) {
+    return String(value || '')
+      .toUpperCase()
+      .replace(/[^0-9A-Z-]/g, '')
+      .slice(0, 8);
+  }
+
+  function sanitizeAirportCode(value) {
+    return String(value || '')
+      .toUpperCase()
+      .replace(/[^0-9A-Z]/g, '')
+      .slice(0, 4);
+  }
+
+  function searchMode() {
+    const checked = form.querySelector('input[name="mode"]:checked');
+    return checked ? checked.value : 'flight';
+  }
+
+  function modeInput() {
+    const mode = searchMode();
+    if (mode === 'tail') return tailInput;
+    return mode === 'route' ? routeFrom : flightInput;
+  }
+
+  function applySearchMode() {
+    const mode = searchMode();
+    setHidden(flightField, mode !== 'flight');
+    setHidden(tailField, mode !== 'tail');
+    setHidden(routeField, mode !== 'route');
+    flightInput.required = mode === 'flight';
+    tailInput.required = mode === 'tail';
+    routeFrom.required = mode === 'route';
+    routeTo.required = mode === 'route';
+    setError('');
   }
 
   function setHidden(el, hidden) {
     el.hidden = !!hidden;
   }
 
+  function errorText(result) {
+    const code = result && result.code;
+    return (code && ERROR_MESSAGES[code]) || (result && result.message) || ERR_UNAVAILABLE;
+  }
+
   function setError(message) {
     if (!message) {
       errorEl.textContent = '';
@@ -65,6 +203,9 @@
   function setLoading(isLoading) {
     submitBtn.disabled = isLoading;
     flightInput.disabled = isLoading;
+    tailInput.disabled = isLoading;
+    routeFrom.disabled = isLoading;
+    routeTo.disabled = isLoading;
     dateInput.disabled = isLoading;
     form.setAttribute('aria-busy', isLoading ? 'true' : 'false');
 
@@ -74,11 +215,18 @@
 
   function showSearch() {
     setHidden(viewResult, true);
+    setHidden(viewRoute, true);
     setHidden(viewSearch, false);
     setError('');
     setLoading(false);
     animationToken++;
-    flightInput.focus();
+    modeInput().focus();
+  }
+
+  function showRoute() {
+    setHidden(viewSearch, true);
+    setHidden(viewRoute, false);
+    routeHeading.focus({ preventScroll: true });
   }
 
   function showResult() {
@@ -95,22 +243,133 @@
     });
   }
 
-  function conditionForAge(age) {
+  // The model's own age distribution when the server has one, else the
+  // family's; fixed cutoffs only when neither is known.
+  function typeAgeRank(typeAge) {
+    if (!typeAge) return null;
+    for (const group of [typeAge.model, typeAge.family]) {
+      if (group && Number.isFinite(group.percentile)) return group;
+    }
+    return null;
+  }
+
+  function conditionForAge(age, typeAge) {
+    const rank = typeAgeRank(typeAge);
+    if (rank) {
+      if (rank.percentile < 25) return { dot: 'var(--good)', text: 'Young for its type' };
+      if (rank.percentile <= 75) return { dot: 'var(--warn)', text: 'Typical age for its type' };
+      return { dot: 'var(--bad)', text: 'Old for its type' };
+    }
     if (age < 5) return { dot: 'var(--good)', text: 'New aircraft' };
     if (age < 15) return { dot: 'var(--warn)', text: 'Mid-life' };
     return { dot: 'var(--bad)', text: 'Veteran aircraft' };
   }
 
-  function renderFlaps(age) {
+  function typeAgeText(typeAge) {
+    const rank = typeAgeRank(typeAge);
+    if (!rank) return '';
+    const median = Number.isFinite(typeAge.model && typeAge.model.medianAge)
+      ? ` · ${typeAge.model.name} median ${typeAge.model.medianAge} years`
+      : '';
+    return `Older than ${rank.percentile}% of ${rank.count.toLocaleString()} registered ${rank.name}${median}`;
+  }
+
+  function codeText(value) {
+    if (!value) return '';
+    return value.label || value.code || '';
+  }
+
+  function registryRows(a) {
+    const engine = a.engine || {};
+    const cert = a.certification || {};
+    const modeS = a.modeS || {};
+    const engines = [engine.count ? `${engine.count} ×` : '', codeText(engine.type)]
+      .filter(Boolean)
+      .join(' ');
+    const engineModel = [engine.manufacturer, engine.model].filter(Boolean).join(' ');
+    const rating = engine.thrustLbf
+      ? `${engine.thrustLbf.toLocaleString()} lbf thrust`
+      : engine.horsepower
+        ? `${engine.horsepower.toLocaleString()} hp`
+        : '';
+
+    return [
+      ['Serial number', a.serialNumber],
+      ['Status', codeText(a.status)],
+      ['Registrant type', codeText(a.registrantType)],
+      ['Aircraft type', codeText(a.type)],
+      ['Category', codeText(a.category)],
+      ['Weight class', codeText(a.weightClass)],
+      ['Seats', a.seats],
+      ['Engines', engines],
+      ['Engine model', engineModel],
+      ['Engine rating', rating],
+      ['Engine code', engine.code],
+      ['Certification', cert.classification],
+      ['Certificate issued', cert.issueDate],
+      ['Airworthiness date', cert.airworthinessDate],
+      ['Registration expires', cert.expirationDate],
+      ['Mode S (octal)', modeS.octal],
+      ['Mode S (hex)', modeS.hex],
+    ].filter(([, v]) => v !== null && v !== undefined && v !== '');
+  }
+
+  function deregisteredText(dereg) {
+    if (!dereg) return '';
+    const reason = dereg.reason && `cancellation code ${dereg.reason}`;
+    return [
+      `No longer registered${dereg.cancelDate ? ` since ${dereg.cancelDate}` : ''}`,
+      reason ? ` (${reason})` : '',
+      dereg.exportCountry ? `, exported to ${dereg.exportCountry}` : '',
+      '.',
+    ].join('');
+  }
+
+  function snapshotText(snapshot) {
+    if (!snapshot || snapshot.current) return '';
+    const published = String(snapshot.updatedAt || '').slice(0, 10);
+    return snapshot.exact
+      ? `Registry as published ${published}.`
+      : `Oldest retained registry (${published}) used; it postdates this flight.`;
+  }
+
+  function renderRegistryDetails(aircraft) {
+    registryList.replaceChildren();
+    registry.open = false;
+
+    const rows = aircraft ? registryRows(aircraft) : [];
+    for (const [k, v] of rows) {
+      const dt = document.createElement('dt');
+      dt.className = 'registry__k';
+      dt.textContent = k;
+      const dd = document.createElement('dd');
+      dd.className = 'registry__v';
+      dd.textContent = String(v);
+      registryList.append(dt, dd);
+    }
+
+    setHidden(registry, rows.length === 0);
+  }
+
+  // `age` may be fractional (month-precise ages); the tenths digit gets its
+  // own flap after a decimal point when `showTenths` is set.
+  function renderFlaps(age, { showTenths = false } = {}) {
     const token = ++animationToken;
     const safeAge = Number.isFinite(age) ? Math.max(0, age) : 0;
-    const digits = String(safeAge).padStart(3, '0').split('');
-    const showHundreds = safeAge >= 100;
+    const whole = Math.floor(safeAge);
+    const tenths = Math.floor(Math.round(safeAge * 100) / 10) % 10;
+    const digits = String(whole).padStart(3, '0').split('');
+    const showHundreds = whole >= 100;
 
     flap0.hidden = !showHundreds;
+    flap3.hidden = !showTenths;
+    flapPoint.hidden = !showTenths;
     flap0Text.textContent = '0';
     flap1Text.textContent = '0';
     flap2Text.textContent = '0';
+    flap3Text.textContent = '0';
+
+    if (showTenths) animateFlap(flap3, flap3Text, tenths, 550, token);
 
     if (showHundreds) {
       animateFlap(flap0, flap0Text, Number(digits[0]) || 0, 100, token);
@@ -152,6 +411,153 @@
     }, delayMs);
   }
 
+  function airportText(airport) {
+    return (airport && (airport.iata || airport.icao)) || '?';
+  }
+
+  function legText(leg) {
+    const time = String(leg.scheduledDeparture || '').slice(11, 16);
+    const route = `${airportText(leg.origin)} → ${airportText(leg.destination)}`;
+    const text = time ? `${route} · ${time}` : route;
+    return leg.ok ? text : `${text} (${errorText(leg)})`;
+  }
+
+  function renderLegPicker(legs, selected) {
+    currentLegs = legs;
+    legSelect.replaceChildren();
+    legs.forEach((leg, i) => {
+      const option = document.createElement('option');
+      option.value = String(i);
+      option.textContent = legText(leg);
+      option.disabled = !leg.ok;
+      legSelect.appendChild(option);
+    });
+    legSelect.value = String(selected);
+    setHidden(legPicker, legs.length < 2);
+  }
+
+  function renderLeg(data) {
+    const type =
+      data.aircraftName ||
+      data.aircraftType ||
+      [data.manufacturer, data.model].filter(Boolean).join(' ') ||
+      '—';
+    const year = data.year || '—';
+    const reg = data.registration || (data.nNumber ? `N${data.nNumber}` : '—');
+    const detail = data.ageDetail || null;
+    const monthPrecise = !!detail && detail.precision === 'month';
+    const age = monthPrecise && Number.isFinite(detail.decimal)
+      ? detail.decimal
+      : Number.isFinite(data.age) ? data.age : 0;
+
+    const cond = conditionForAge(age, data.typeAge);
+    conditionDot.style.background = cond.dot;
+    conditionText.textContent = cond.text;
+    typeAgeNote.textContent = typeAgeText(data.typeAge);
+    setHidden(typeAgeNote, !typeAgeNote.textContent);
+
+    aircraftType.textContent = type;
+    mfrYear.textContent = year;
+    tail.textContent = reg;
+    renderRegistryDetails(data.aircraft);
+
+    const deregNote = [deregisteredText(data.deregistered), snapshotText(data.registrySnapshot)]
+      .filter(Boolean)
+      .join(' ');
+    registryNote.textContent = deregNote;
+    setHidden(registryNote, !deregNote);
+
+    const ageText = detail && detail.text ? detail.text : `${age} year${age === 1 ? '' : 's'}`;
+    ageNote.textContent = detail
+      ? `${detail.text} on ${detail.asOf} · from ${
+          detail.source === 'AIR WORTH DATE' ? 'airworthiness date' : 'manufacture year'
+        }`
+      : '';
+    setHidden(ageNote, !detail);
+
+    const resultParts = [
+      currentLegs.length > 1 ? `Leg: ${legText(data)}.` : null,
+      `Aircraft age: ${ageText}.`,
+      type && type !== '—' ? `Aircraft: ${type}.` : null,
+      year && year !== '—' ? `Built: ${year}.` : null,
+      reg && reg !== '—' ? `Registration: ${reg}.` : null,
+      cond?.text ? `Condition: ${cond.text}.` : null,
+      deregNote || null,
+    ].filter(Boolean);
+
+    renderFlaps(age, { showTenths: monthPrecise });
+    announceResult(resultParts.join(' '));
+  }
+
+  function routeCell(text, sub) {
+    const td = document.createElement('td');
+    td.textContent = text;
+    if (sub) {
+      const small = document.createElement('span');
+      small.className = 'routeTable__sub';
+      small.textContent = sub;
+      td.appendChild(small);
+    }
+    return td;
+  }
+
+  function routeAgeCell(flight) {
+    const td = document.createElement('td');
+    if (!flight.ok) {
+      td.className = 'routeTable__none';
+      td.textContent = errorText(flight);
+      return td;
+    }
+    const age = flight.ageDetail && Number.isFinite(flight.ageDetail.decimal)
+      ? flight.ageDetail.decimal
+      : flight.age;
+    const wrap = document.createElement('span');
+    wrap.className = 'routeTable__age';
+    const dot = document.createElement('span');
+    dot.className = 'routeTable__dot';
+    dot.style.background = conditionForAge(age, flight.typeAge).dot;
+    dot.setAttribute('aria-hidden', 'true');
+    wrap.append(dot, (flight.ageDetail && flight.ageDetail.text) || `${age} years`);
+    td.appendChild(wrap);
+    return td;
+  }
+
+  // Flights arrive youngest aircraft first; only ranked rows get a number.
+  function renderRoute(data) {
+    routeLine.textContent = `${data.from} → ${data.to} · ${data.date}`;
+    routeRows.replaceChildren(
+      ...data.flights.map((flight, i) => {
+        const tr = document.createElement('tr');
+        const type =
+          flight.aircraftName ||
+          flight.aircraftType ||
+          [flight.manufacturer, flight.model].filter(Boolean).join(' ') ||
+          '—';
+        tr.append(
+          routeCell(flight.ok ? String(i + 1) : ''),
+          routeCell(flight.flightNumber, flight.airline),
+          routeCell(String(flight.scheduledDeparture || '').slice(11, 16) || '—'),
+          routeCell(flight.ok ? type : '—', flight.registration || ''),
+          routeAgeCell(flight)
+        );
+        return tr;
+      })
+    );
+  }
+
+  async function getJson(url) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+
+    try {
+      const response = await fetch(url, { signal: controller.signal });
+      const data = await response.json().catch(() => null);
+      return { response, data };
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
   async function postJson(url, body) {
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
@@ -173,55 +579,54 @@
   async function lookup() {
     setError('');
 
+    const mode = searchMode();
     const flightNumber = sanitizeFlightNumber(flightInput.value).trim();
+    const tailNumber = sanitizeTailNumber(tailInput.value);
+    const from = sanitizeAirportCode(routeFrom.value);
+    const to = sanitizeAirportCode(routeTo.value);
     const date = String(dateInput.value || '').trim();
 
-    if (!flightNumber || !date) {
-      setError('Please fill in both fields');
+    const filled = { flight: !!flightNumber, tail: !!tailNumber, route: from.length >= 3 && to.length >= 3 };
+    if (!filled[mode] || !date) {
+      setError(mode === 'route' ? 'Please fill in both airports and the date' : 'Please fill in both fields');
       return;
     }
 
     setLoading(true);
 
     try {
-      const { response, data } = await postJson('/check-flight', { flightNumber, date });
+      let request;
+      if (mode === 'tail') {
+        request = getJson(`/aircraft/${encodeURIComponent(tailNumber)}?date=${encodeURIComponent(date)}`);
+      } else if (mode === 'route') {
+        request = postJson('/search-route', { from, to, date });
+      } else {
+        request = postJson('/check-flight', { flightNumber, date });
+      }
+      const { response, data } = await request;
       if (!data) throw new Error('bad_json');
 
-      if (!response.ok) {
-        setError(data.message || ERR_UNAVAILABLE);
+      if (!response.ok || !data.ok) {
+        setError(errorText(data));
         return;
       }
 
-      if (!data.ok) {
-        setError(data.message || ERR_UNAVAILABLE);
+      if (mode === 'route') {
+        renderRoute(data);
+        showRoute();
         return;
       }
 
-      const type =
-        data.aircraftType || [data.manufacturer, data.model].filter(Boolean).join(' ') || '—';
-      const year = data.year || '—';
-      const reg = data.registration || (data.nNumber ? `N${data.nNumber}` : '—');
-      const age = Number.isFinite(data.age) ? data.age : 0;
-
-      const cond = conditionForAge(age);
-      conditionDot.style.background = cond.dot;
-      conditionText.textContent = cond.text;
-
-      aircraftType.textContent = type;
-      mfrYear.textContent = year;
-      tail.textContent = reg;
-
-      const resultParts = [
-        `Aircraft age: ${age} year${age === 1 ? '' : 's'}.`,
-        type && type !== '—' ? `Aircraft: ${type}.` : null,
-        year && year !== '—' ? `Built: ${year}.` : null,
-        reg && reg !== '—' ? `Registration: ${reg}.` : null,
-        cond?.text ? `Condition: ${cond.text}.` : null,
-      ].filter(Boolean);
-
-      renderFlaps(age);
+      const flight = data.flightNumber
+        ? [data.airline && data.airline.name, data.flightNumber].filter(Boolean).join(' · ')
+        : '';
+      flightLine.textContent = flight;
+      setHidden(flightLine, !flight);
+
+      const legs = Array.isArray(data.legs) && data.legs.length ? data.legs : [data];
+      renderLegPicker(legs, Number.isInteger(data.leg) ? data.leg : 0);
       showResult();
-      announceResult(resultParts.join(' '));
+      renderLeg(data);
     } catch {
       setError(ERR_UNAVAILABLE);
     } finally {
@@ -229,11 +634,37 @@
     }
   }
 
+  flightInput.addEventListener('focus', loadAirlines);
+
   flightInput.addEventListener('input', () => {
     const next = sanitizeFlightNumber(flightInput.value);
     if (flightInput.value !== next) flightInput.value = next;
   });
 
+  legSelect.addEventListener('change', () => {
+    const leg = currentLegs[Number(legSelect.value)];
+    if (leg && leg.ok) renderLeg(leg);
+  });
+
+  tailInput.addEventListener('input', () => {
+    const next = sanitizeTailNumber(tailInput.value);
+    if (tailInput.value !== next) tailInput.value = next;
+  });
+
+  [routeFrom, routeTo].forEach((input) => {
+    input.addEventListener('input', () => {
+      const next = sanitizeAirportCode(input.value);
+      if (input.value !== next) input.value = next;
+    });
+  });
+
+  modeInputs.forEach((input) => {
+    input.addEventListener('change', () => {
+      applySearchMode();
+      modeInput().focus();
+    });
+  });
+
   form.addEventListener('submit', (e) => {
     e.preventDefault();
     lookup();
@@ -241,10 +672,14 @@
 
   resetBtn.addEventListener('click', () => {
     flightInput.value = '';
+    tailInput.value = '';
     dateInput.value = localToday();
     showSearch();
   });
 
+  routeReset.addEventListener('click', showSearch);
+
   dateInput.value = localToday();
+  applySearchMode();
   showSearch();
 })();
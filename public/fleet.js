@@ -0,0 +1,218 @@
+(function () {
+  const $id = (id) => document.getElementById(id);
+
+  const form = $id('fleetForm');
+  const viewFleet = $id('viewFleet');
+  const viewStats = $id('viewStats');
+  const operatorInput = $id('operator');
+  const tailInput = $id('fleetTail');
+  const errorEl = $id('error');
+  const candidatesEl = $id('candidates');
+
+  const submitBtn = $id('submit');
+  const spinner = $id('spinner');
+  const buttonText = $id('buttonText');
+
+  const fleetHeading = $id('fleetHeading');
+  const fleetLine = $id('fleetLine');
+  const fleetRank = $id('fleetRank');
+  const fleetCount = $id('fleetCount');
+  const fleetMean = $id('fleetMean');
+  const fleetMedian = $id('fleetMedian');
+  const histogram = $id('histogram');
+  const modelRows = $id('modelRows');
+
+  const FETCH_TIMEOUT_MS = 15000;
+  const ERR_UNAVAILABLE = 'Fleet statistics currently unavailable.';
+
+  function setHidden(el, hidden) {
+    el.hidden = hidden;
+  }
+
+  function showError(message, candidates) {
+    errorEl.textContent = message;
+    setHidden(errorEl, false);
+
+    candidatesEl.replaceChildren();
+    for (const c of candidates || []) {
+      const li = document.createElement('li');
+      const a = document.createElement('a');
+      a.href = `/fleet/${encodeURIComponent(c.slug)}`;
+      a.textContent = c.operator;
+      li.append(a, ` (${c.count} aircraft)`);
+      candidatesEl.append(li);
+    }
+    setHidden(candidatesEl, !candidatesEl.childElementCount);
+    errorEl.focus();
+  }
+
+  function clearError() {
+    errorEl.textContent = '';
+    setHidden(errorEl, true);
+    candidatesEl.replaceChildren();
+    setHidden(candidatesEl, true);
+  }
+
+  function setLoading(isLoading) {
+    submitBtn.disabled = isLoading;
+    operatorInput.disabled = isLoading;
+    tailInput.disabled = isLoading;
+    form.setAttribute('aria-busy', isLoading ? 'true' : 'false');
+
+    setHidden(spinner, !isLoading);
+    buttonText.textContent = isLoading ? 'Looking up…' : 'View Fleet';
+  }
+
+  function sanitizeTailNumber(value) {
+    return String(value || '')
+      .toUpperCase()
+      .replace(/[^0-9A-Z-]/g, '')
+      .slice(0, 8);
+  }
+
+  function slugify(value) {
+    return String(value || '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+  }
+
+  function ageText(age) {
+    return typeof age === 'number' ? `${age.toFixed(1)} yrs` : '—';
+  }
+
+  function possessive(name) {
+    return /s$/i.test(name) ? `${name}’` : `${name}’s`;
+  }
+
+  function rankText(aircraft, operator) {
+    const what = [aircraft.year, aircraft.aircraftType].filter(Boolean).join(' ') || aircraft.registration;
+    const fleet = `${possessive(operator)} fleet`;
+    const p = aircraft.percentile;
+
+    if (aircraft.inFleet === false) {
+      return `${aircraft.registration} is not registered to ${operator}, so it can’t be ranked.`;
+    }
+    if (typeof p !== 'number') {
+      return `${aircraft.registration}’s age is not known, so it can’t be ranked.`;
+    }
+    // Near either end, round the share out to the next 5% ("one of the oldest 5%").
+    const band = (share) => Math.max(5, Math.ceil(share / 5) * 5);
+    if (p >= 90) return `This ${what} is one of the oldest ${band(100 - p)}% of ${fleet}.`;
+    if (p <= 10) return `This ${what} is one of the youngest ${band(p)}% of ${fleet}.`;
+    if (p >= 50) return `This ${what} is older than ${Math.round(p)}% of ${fleet}.`;
+    return `This ${what} is younger than ${Math.round(100 - p)}% of ${fleet}.`;
+  }
+
+  function renderHistogram(buckets, markAge) {
+    histogram.replaceChildren();
+    if (!buckets.length) return;
+
+    const last = buckets[buckets.length - 1].age;
+    const counts = new Map(buckets.map((b) => [b.age, b.count]));
+    const max = Math.max(...counts.values());
+    const mark = typeof markAge === 'number' ? Math.floor(markAge) : null;
+
+    for (let age = 0; age <= last; age++) {
+      const count = counts.get(age) || 0;
+      const bar = document.createElement('div');
+      bar.className = age === mark ? 'histogram__bar histogram__bar--mark' : 'histogram__bar';
+      bar.style.height = `${(count / max) * 100}%`;
+      bar.title = `${age}–${age + 1} years: ${count} aircraft`;
+      histogram.append(bar);
+    }
+  }
+
+  function renderModels(models) {
+    modelRows.replaceChildren();
+    for (const m of models) {
+      const tr = document.createElement('tr');
+      for (const text of [m.model || 'Unknown model', String(m.count), ageText(m.meanAge)]) {
+        const td = document.createElement('td');
+        td.textContent = text;
+        tr.append(td);
+      }
+      modelRows.append(tr);
+    }
+  }
+
+  function showFleet(data) {
+    fleetHeading.textContent = data.operator;
+    fleetLine.textContent = `FAA registry as of ${data.asOf}`;
+    fleetCount.textContent = String(data.count);
+    fleetMean.textContent = ageText(data.meanAge);
+    fleetMedian.textContent = ageText(data.medianAge);
+
+    const aircraft = data.aircraft;
+    if (aircraft) fleetRank.textContent = aircraft.ok ? rankText(aircraft, data.operator) : aircraft.message;
+    setHidden(fleetRank, !aircraft);
+
+    renderHistogram(data.histogram || [], aircraft && aircraft.ok && aircraft.inFleet ? aircraft.age : null);
+    renderModels(data.models || []);
+
+    setHidden(viewFleet, true);
+    setHidden(viewStats, false);
+    document.title = `${data.operator} fleet age – PlaneAge`;
+    fleetHeading.focus();
+  }
+
+  async function getJson(url) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+
+    try {
+      const response = await fetch(url, {
+        headers: { Accept: 'application/json' },
+        signal: controller.signal,
+      });
+      const data = await response.json().catch(() => null);
+      return { response, data };
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  async function load(operator, registration) {
+    clearError();
+    setLoading(true);
+    try {
+      const qs = registration ? `?registration=${encodeURIComponent(registration)}` : '';
+      const { response, data } = await getJson(`/fleet/${encodeURIComponent(operator)}${qs}`);
+      if (!response.ok || !data || !data.ok) {
+        showError((data && data.message) || ERR_UNAVAILABLE, data && data.candidates);
+        return;
+      }
+      showFleet(data);
+    } catch {
+      showError(ERR_UNAVAILABLE);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  tailInput.addEventListener('input', () => {
+    tailInput.value = sanitizeTailNumber(tailInput.value);
+  });
+
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const slug = slugify(operatorInput.value);
+    if (!slug) {
+      showError('Please enter an airline or registrant name.');
+      return;
+    }
+
+    const registration = sanitizeTailNumber(tailInput.value);
+    const qs = registration ? `?registration=${encodeURIComponent(registration)}` : '';
+    window.location.assign(`/fleet/${encodeURIComponent(slug)}${qs}`);
+  });
+
+  const match = window.location.pathname.match(/^\/fleet\/([^/]+)\/?$/);
+  if (match) {
+    const operator = decodeURIComponent(match[1]);
+    const registration = sanitizeTailNumber(new URLSearchParams(window.location.search).get('registration'));
+    operatorInput.value = operator.replace(/-/g, ' ');
+    tailInput.value = registration;
+    load(operator, registration);
+  }
+})();
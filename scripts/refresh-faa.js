@@ -1,11 +1,32 @@
 const https = require('https');
+const crypto = require('crypto');
 const fs = require('fs');
 const fsp = require('fs/promises');
 const path = require('path');
+const zlib = require('zlib');
+const { Readable, Transform } = require('stream');
 const { pipeline } = require('stream/promises');
-const AdmZip = require('adm-zip');
+const { setTimeout: sleep } = require('timers/promises');
+const {
+  MASTER_COLUMNS,
+  buildCsvKeyIndex,
+  buildCsvKeyIndexes,
+  checkFaaCsvHeader,
+  computeAircraftAge,
+  fleetSlug,
+  modelFamilyName,
+  normalizeAircraftModel,
+  normalizeOperatorName,
+  scanCsvRecords,
+} = require('../faa');
 
 const FAA_ZIP_URL = 'https://registry.faa.gov/database/ReleasableAircraft.zip';
+const FAA_FILES = [
+  { label: 'MASTER', name: 'master.txt', key: 'extractedMasterPath', manifestKey: 'master' },
+  { label: 'ACFTREF', name: 'acftref.txt', key: 'extractedAcftRefPath', manifestKey: 'acftref' },
+  { label: 'DEREG', name: 'dereg.txt', key: 'extractedDeregPath', manifestKey: 'dereg' },
+  { label: 'ENGINE', name: 'engine.txt', key: 'extractedEnginePath', manifestKey: 'engine' },
+];
 
 function dataDir() {
   const raw = String(process.env.FAA_DATA_DIR || '').trim();
@@ -23,6 +44,9 @@ const GCS_PREFIX = normalizeGcsObjectName(process.env.GCS_PREFIX || 'faa');
 const GCS_MANIFEST_OBJECT =
   normalizeGcsObjectName(process.env.GCS_MANIFEST_OBJECT) ||
   (GCS_PREFIX ? `${GCS_PREFIX}/current.json` : 'current.json');
+const GCS_HISTORY_OBJECT =
+  normalizeGcsObjectName(process.env.GCS_HISTORY_OBJECT) ||
+  path.posix.join(path.posix.dirname(GCS_MANIFEST_OBJECT), 'history.json');
 
 function paths() {
   const dir = dataDir();
@@ -31,13 +55,51 @@ function paths() {
     zipPath: path.join(dir, 'temp.zip'),
     extractedMasterPath: path.join(dir, 'MASTER.txt'),
     extractedAcftRefPath: path.join(dir, 'ACFTREF.txt'),
+    extractedMasterIndexPath: path.join(dir, 'master.idx.new'),
+    extractedMasterHexIndexPath: path.join(dir, 'master-hex.idx.new'),
+    extractedDeregPath: path.join(dir, 'DEREG.txt'),
+    extractedDeregIndexPath: path.join(dir, 'dereg.idx.new'),
+    extractedEnginePath: path.join(dir, 'ENGINE.txt'),
+    extractedFleetPath: path.join(dir, 'fleet.json.new'),
+    extractedModelsPath: path.join(dir, 'models.json.new'),
     masterPath: path.join(dir, 'master.csv'),
     acftRefPath: path.join(dir, 'acftref.csv'),
+    masterIndexPath: path.join(dir, 'master.idx'),
+    masterHexIndexPath: path.join(dir, 'master-hex.idx'),
+    deregPath: path.join(dir, 'dereg.csv'),
+    deregIndexPath: path.join(dir, 'dereg.idx'),
+    enginePath: path.join(dir, 'engine.csv'),
+    fleetPath: path.join(dir, 'fleet.json'),
+    modelsPath: path.join(dir, 'models.json'),
     oldMasterPath: path.join(dir, 'master.old'),
     oldAcftRefPath: path.join(dir, 'acftref.old'),
+    oldMasterIndexPath: path.join(dir, 'master.idx.old'),
+    oldMasterHexIndexPath: path.join(dir, 'master-hex.idx.old'),
+    oldDeregPath: path.join(dir, 'dereg.old'),
+    oldDeregIndexPath: path.join(dir, 'dereg.idx.old'),
+    oldEnginePath: path.join(dir, 'engine.old'),
+    oldFleetPath: path.join(dir, 'fleet.json.old'),
+    oldModelsPath: path.join(dir, 'models.json.old'),
+    changelogDir: path.join(dir, 'changelogs'),
+    snapshotDir: path.join(dir, 'snapshots'),
+    historyPath: path.join(dir, 'snapshots', 'history.json'),
   };
 }
 
+function swapSet(p) {
+  return [
+    { from: p.extractedMasterPath, to: p.masterPath, old: p.oldMasterPath },
+    { from: p.extractedAcftRefPath, to: p.acftRefPath, old: p.oldAcftRefPath },
+    { from: p.extractedMasterIndexPath, to: p.masterIndexPath, old: p.oldMasterIndexPath },
+    { from: p.extractedMasterHexIndexPath, to: p.masterHexIndexPath, old: p.oldMasterHexIndexPath },
+    { from: p.extractedDeregPath, to: p.deregPath, old: p.oldDeregPath },
+    { from: p.extractedDeregIndexPath, to: p.deregIndexPath, old: p.oldDeregIndexPath },
+    { from: p.extractedEnginePath, to: p.enginePath, old: p.oldEnginePath },
+    { from: p.extractedFleetPath, to: p.fleetPath, old: p.oldFleetPath },
+    { from: p.extractedModelsPath, to: p.modelsPath, old: p.oldModelsPath },
+  ];
+}
+
 function envPositiveMs(raw, fallback) {
   const n = Number(raw);
   return Number.isFinite(n) && n > 0 ? n : fallback;
@@ -50,6 +112,32 @@ function envNonNegativeInt(raw, fallback) {
 
 const DOWNLOAD_TIMEOUT_MS = envPositiveMs(process.env.DOWNLOAD_TIMEOUT_MS, 2 * 60 * 1000);
 const MAX_REDIRECTS = envNonNegativeInt(process.env.MAX_REDIRECTS, 5);
+const CHANGELOG_KEEP = envNonNegativeInt(process.env.CHANGELOG_KEEP, 12);
+const SNAPSHOT_KEEP = envNonNegativeInt(process.env.SNAPSHOT_KEEP, 12);
+// Local snapshots are hard links, so each one holds a full copy of the data
+// on disk once the live files are replaced; keep fewer of them than GCS.
+const LOCAL_SNAPSHOT_KEEP = envNonNegativeInt(process.env.LOCAL_SNAPSHOT_KEEP, Math.min(SNAPSHOT_KEEP, 2));
+const FLEET_MIN_AIRCRAFT = envNonNegativeInt(process.env.FLEET_MIN_AIRCRAFT, 10);
+const MODEL_MIN_AIRCRAFT = envNonNegativeInt(process.env.MODEL_MIN_AIRCRAFT, 10);
+// Servers keep the manifest and history they last read for this long (the
+// web service's own setting), so objects only the outgoing ones reference are
+// deleted once it has passed, plus a margin for requests already under way.
+const GCS_MANIFEST_CACHE_MS = envPositiveMs(process.env.GCS_MANIFEST_CACHE_MS, 60 * 1000);
+const GCS_DELETE_GRACE_MS = GCS_MANIFEST_CACHE_MS + 15 * 1000;
+// The family table covers airliners, so only models this size are reported
+// as missing from it.
+const UNMAPPED_MODEL_MIN_SEATS = 20;
+
+// Sanity gate thresholds. The live MASTER has ~300k rows and moves by well
+// under 1% a week, so anything outside these bounds is a bad FAA drop or a
+// truncated download rather than real registry churn.
+const MIN_ROWS = {
+  MASTER: envNonNegativeInt(process.env.FAA_MIN_MASTER_ROWS, 100000),
+  ACFTREF: envNonNegativeInt(process.env.FAA_MIN_ACFTREF_ROWS, 1000),
+  DEREG: envNonNegativeInt(process.env.FAA_MIN_DEREG_ROWS, 1000),
+  ENGINE: envNonNegativeInt(process.env.FAA_MIN_ENGINE_ROWS, 1000),
+};
+const MAX_SHRINK_PCT = envNonNegativeInt(process.env.FAA_MAX_SHRINK_PCT, 10);
 
 async function pathExists(filePath) {
   try {
@@ -107,51 +195,264 @@ function downloadToFile(url, destPath, redirectsLeft = MAX_REDIRECTS) {
   });
 }
 
-async function extractTxtFromZip(zipFilePath, suffixLower, destPath) {
-  const zip = new AdmZip(zipFilePath);
-  const entry = zip
-    .getEntries()
-    .find((e) => (e.entryName || '').toLowerCase().endsWith(suffixLower));
-
-  if (!entry) throw new Error(`${suffixLower} not found in zip`);
+// Streams `input` (through any `transforms`) to destPath, returning the
+// SHA-256, CRC-32 and size of the bytes written.
+async function writeWithChecksum(input, transforms, destPath) {
+  const hash = crypto.createHash('sha256');
+  let crc32 = 0;
+  let bytes = 0;
+  const tap = new Transform({
+    transform(chunk, _encoding, callback) {
+      hash.update(chunk);
+      crc32 = zlib.crc32(chunk, crc32);
+      bytes += chunk.length;
+      callback(null, chunk);
+    },
+  });
 
-  const destDir = path.dirname(destPath);
   await fsp.rm(destPath, { force: true });
-  zip.extractEntryTo(entry.entryName, destDir, false, true);
+  try {
+    await pipeline(input, ...transforms, tap, fs.createWriteStream(destPath));
+  } catch (err) {
+    await fsp.rm(destPath, { force: true });
+    throw err;
+  }
+  return { sha256: hash.digest('hex'), crc32, bytes };
+}
+
+const ZIP_EOCD_SIGNATURE = 0x06054b50;
+const ZIP_CENTRAL_SIGNATURE = 0x02014b50;
+const ZIP_LOCAL_SIGNATURE = 0x04034b50;
+
+// Reads only the end-of-central-directory record and the central directory;
+// entry data is never buffered.
+async function readZipDirectory(handle) {
+  const { size } = await handle.stat();
+  const tailLength = Math.min(size, 22 + 0xffff);
+  const tail = Buffer.alloc(tailLength);
+  await handle.read(tail, 0, tailLength, size - tailLength);
+
+  let eocd = -1;
+  for (let i = tailLength - 22; i >= 0; i--) {
+    if (tail.readUInt32LE(i) === ZIP_EOCD_SIGNATURE) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) throw new Error('Not a zip archive (end of central directory not found)');
 
-  if (!(await pathExists(destPath))) {
-    throw new Error(`Extraction failed (${suffixLower} missing after extract)`);
+  const count = tail.readUInt16LE(eocd + 10);
+  const directorySize = tail.readUInt32LE(eocd + 12);
+  const directoryOffset = tail.readUInt32LE(eocd + 16);
+  if (count === 0xffff || directoryOffset === 0xffffffff) {
+    throw new Error('ZIP64 archives are not supported');
   }
+
+  const directory = Buffer.alloc(directorySize);
+  await handle.read(directory, 0, directorySize, directoryOffset);
+
+  const entries = [];
+  let pos = 0;
+  for (let i = 0; i < count; i++) {
+    if (directory.readUInt32LE(pos) !== ZIP_CENTRAL_SIGNATURE) {
+      throw new Error('Corrupt zip archive (bad central directory entry)');
+    }
+    const flags = directory.readUInt16LE(pos + 8);
+    const nameLength = directory.readUInt16LE(pos + 28);
+    const extraLength = directory.readUInt16LE(pos + 30);
+    const commentLength = directory.readUInt16LE(pos + 32);
+    entries.push({
+      name: directory.toString(flags & 0x800 ? 'utf8' : 'latin1', pos + 46, pos + 46 + nameLength),
+      encrypted: (flags & 0x1) !== 0,
+      method: directory.readUInt16LE(pos + 10),
+      crc32: directory.readUInt32LE(pos + 16),
+      compressedSize: directory.readUInt32LE(pos + 20),
+      size: directory.readUInt32LE(pos + 24),
+      localOffset: directory.readUInt32LE(pos + 42),
+    });
+    pos += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
 }
 
-async function atomicSwap(p) {
-  const hasMaster = await pathExists(p.masterPath);
-  const hasAcftRef = await pathExists(p.acftRefPath);
+async function extractZipEntry(handle, entry, destPath) {
+  if (entry.encrypted) throw new Error(`${entry.name} is encrypted`);
+  if (entry.method !== 0 && entry.method !== 8) {
+    throw new Error(`${entry.name} uses unsupported zip compression method ${entry.method}`);
+  }
+
+  const header = Buffer.alloc(30);
+  await handle.read(header, 0, 30, entry.localOffset);
+  if (header.readUInt32LE(0) !== ZIP_LOCAL_SIGNATURE) {
+    throw new Error(`Corrupt zip archive (bad local header for ${entry.name})`);
+  }
+  const start = entry.localOffset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+  const input = entry.compressedSize
+    ? handle.createReadStream({ start, end: start + entry.compressedSize - 1, autoClose: false })
+    : Readable.from([]);
 
+  const transforms = entry.method === 8 ? [zlib.createInflateRaw()] : [];
+  const result = await writeWithChecksum(input, transforms, destPath);
+  if (result.bytes !== entry.size || result.crc32 !== entry.crc32) {
+    await fsp.rm(destPath, { force: true });
+    throw new Error(`${entry.name} failed the zip integrity check (size or CRC-32 mismatch)`);
+  }
+  return result;
+}
+
+// Extracts every wanted entry (matched by case-insensitive file-name suffix)
+// in archive order, streaming each one through inflate straight to disk.
+async function extractFromZip(zipFilePath, wanted) {
+  const handle = await fsp.open(zipFilePath, 'r');
   try {
-    if (hasMaster) await fsp.rename(p.masterPath, p.oldMasterPath);
-    if (hasAcftRef) await fsp.rename(p.acftRefPath, p.oldAcftRefPath);
+    const entries = await readZipDirectory(handle);
+    const jobs = wanted.map((w) => {
+      const entry = entries.find((e) => e.name.toLowerCase().endsWith(w.name));
+      if (!entry) throw new Error(`${w.name} not found in zip`);
+      return { ...w, entry };
+    });
+    jobs.sort((a, b) => a.entry.localOffset - b.entry.localOffset);
 
-    await fsp.rename(p.extractedMasterPath, p.masterPath);
-    await fsp.rename(p.extractedAcftRefPath, p.acftRefPath);
+    const results = {};
+    for (const job of jobs) results[job.name] = await extractZipEntry(handle, job.entry, job.destPath);
+    return results;
+  } finally {
+    await handle.close();
+  }
+}
+
+// Copies MASTER.txt/ACFTREF.txt/DEREG.txt/ENGINE.txt out of an already-extracted FAA
+// archive directory (file names matched case-insensitively).
+async function copyTxtFromDir(sourceDir, fileNameLower, destPath) {
+  const name = (await fsp.readdir(sourceDir)).find((n) => n.toLowerCase() === fileNameLower);
+  if (!name) throw new Error(`${fileNameLower} not found in ${sourceDir}`);
+  return writeWithChecksum(fs.createReadStream(path.join(sourceDir, name)), [], destPath);
+}
+
+// Where the FAA archive comes from: `--source <path>` (or `--source=<path>`),
+// then FAA_SOURCE, then the FAA download URL. A local path may be the
+// ReleasableAircraft zip or the directory it was extracted into. An empty
+// `--source` is an error rather than a silent fall back to the download.
+function sourceFromArgs(argv = process.argv.slice(2)) {
+  for (let i = 0; i < argv.length; i++) {
+    let value = null;
+    if (argv[i] === '--source') value = argv[i + 1];
+    else if (argv[i].startsWith('--source=')) value = argv[i].slice('--source='.length);
+    else continue;
+    value = String(value || '').trim();
+    if (!value || value.startsWith('--')) {
+      throw new Error('Usage: npm run refresh -- --source <ReleasableAircraft.zip or extracted directory>');
+    }
+    return value;
+  }
+  return String(process.env.FAA_SOURCE || '').trim() || null;
+}
+
+async function stageFaaFiles(p, source) {
+  if (!source) {
+    console.log('Downloading FAA registry zip...');
+    await downloadToFile(FAA_ZIP_URL, p.zipPath);
+    source = p.zipPath;
+  }
+
+  const resolved = path.resolve(source);
+  let stat;
+  try {
+    stat = await fsp.stat(resolved);
   } catch (err) {
-    if (hasMaster && (await pathExists(p.oldMasterPath)) && !(await pathExists(p.masterPath))) {
-      try { await fsp.rename(p.oldMasterPath, p.masterPath); } catch {}
+    if (err && err.code === 'ENOENT') throw new Error(`FAA source not found: ${resolved}`);
+    throw err;
+  }
+
+  let results = {};
+  if (stat.isDirectory()) {
+    for (const file of FAA_FILES) {
+      console.log(`Copying ${file.label} from ${resolved}...`);
+      results[file.name] = await copyTxtFromDir(resolved, file.name, p[file.key]);
     }
-    if (hasAcftRef && (await pathExists(p.oldAcftRefPath)) && !(await pathExists(p.acftRefPath))) {
-      try { await fsp.rename(p.oldAcftRefPath, p.acftRefPath); } catch {}
+  } else {
+    console.log(`Extracting ${FAA_FILES.map((f) => f.label).join('/')} from ${resolved}...`);
+    results = await extractFromZip(
+      resolved,
+      FAA_FILES.map((f) => ({ name: f.name, destPath: p[f.key] }))
+    );
+  }
+
+  const checksums = {};
+  for (const file of FAA_FILES) {
+    const { sha256, bytes } = results[file.name];
+    checksums[file.manifestKey] = { sha256, bytes };
+    console.log(`${file.label}: ${bytes} bytes, sha256 ${sha256}`);
+  }
+  return checksums;
+}
+
+function validateRefreshData(
+  { masterStats, acftRefRows, deregStats, engineRows, previousMasterRows = null },
+  { minRows = MIN_ROWS, maxShrinkPct = MAX_SHRINK_PCT } = {}
+) {
+  const problems = [];
+  const counts = {
+    MASTER: masterStats.rows,
+    ACFTREF: acftRefRows,
+    DEREG: deregStats.rows,
+    ENGINE: engineRows,
+  };
+
+  for (const [label, rows] of Object.entries(counts)) {
+    if (rows < minRows[label]) problems.push(`${label} has ${rows} rows (minimum ${minRows[label]})`);
+  }
+
+  if (previousMasterRows) {
+    const shrinkPct = ((previousMasterRows - masterStats.rows) / previousMasterRows) * 100;
+    if (shrinkPct > maxShrinkPct) {
+      problems.push(
+        `MASTER shrank ${shrinkPct.toFixed(1)}% (${previousMasterRows} -> ${masterStats.rows} rows, ` +
+          `maximum ${maxShrinkPct}%)`
+      );
+    }
+  }
+
+  const duplicates = masterStats.rows - masterStats.uniqueKeys;
+  if (duplicates > 0) {
+    problems.push(
+      `MASTER has ${duplicates} duplicate N-number row(s) (e.g. ${masterStats.duplicateKeys.join(', ')})`
+    );
+  }
+
+  if (problems.length) {
+    const err = new Error(`Refusing to publish FAA data:\n  - ${problems.join('\n  - ')}`);
+    err.code = 'FAA_VALIDATION';
+    throw err;
+  }
+}
+
+async function atomicSwap(p) {
+  const files = swapSet(p);
+  for (const f of files) f.hadCurrent = await pathExists(f.to);
+
+  try {
+    for (const f of files) {
+      if (f.hadCurrent) await fsp.rename(f.to, f.old);
+    }
+    for (const f of files) await fsp.rename(f.from, f.to);
+  } catch (err) {
+    for (const f of files) {
+      if (f.hadCurrent && (await pathExists(f.old)) && !(await pathExists(f.to))) {
+        try { await fsp.rename(f.old, f.to); } catch {}
+      }
     }
     throw err;
   }
 
-  if (hasMaster) await fsp.rm(p.oldMasterPath, { force: true });
-  if (hasAcftRef) await fsp.rm(p.oldAcftRefPath, { force: true });
+  for (const f of files) {
+    if (f.hadCurrent) await fsp.rm(f.old, { force: true });
+  }
   await fsp.rm(p.zipPath, { force: true });
 }
 
 async function cleanupTemps(p) {
-  await fsp.rm(p.extractedMasterPath, { force: true });
-  await fsp.rm(p.extractedAcftRefPath, { force: true });
+  for (const f of swapSet(p)) await fsp.rm(f.from, { force: true });
   await fsp.rm(p.zipPath, { force: true });
 }
 
@@ -167,17 +468,421 @@ function refreshStamp() {
   return new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
 }
 
-async function uploadFileToGcs(bucket, localPath, objectName) {
+let cachedBucket = null;
+function gcsBucket() {
+  if (cachedBucket) return cachedBucket;
+  const { Storage } = require('@google-cloud/storage');
+  cachedBucket = new Storage().bucket(GCS_BUCKET);
+  return cachedBucket;
+}
+
+async function readGcsManifestJson(bucket) {
+  try {
+    const [buf] = await bucket.file(GCS_MANIFEST_OBJECT).download();
+    return JSON.parse(String(buf || ''));
+  } catch (err) {
+    if (err && (err.code === 404 || err instanceof SyntaxError)) return null;
+    throw err;
+  }
+}
+
+// The MASTER being replaced: the local file when there is one, otherwise (a
+// fresh Cloud Run job) the object the GCS manifest currently points at.
+async function currentMasterSource(p) {
+  if (await pathExists(p.masterPath)) return { source: p.masterPath, updatedAt: null };
+  if (!GCS_BUCKET) return null;
+
+  const bucket = gcsBucket();
+  const manifest = await readGcsManifestJson(bucket);
+  const objectName = manifest && normalizeGcsObjectName(manifest.master);
+  if (!objectName) return null;
+
+  return {
+    updatedAt: manifest.updatedAt || null,
+    source: {
+      id: `gs://${GCS_BUCKET}/${objectName}`,
+      createReadStream: (range) => {
+        const stream = bucket.file(objectName).createReadStream({ ...range });
+        stream.setEncoding('utf8');
+        return stream;
+      },
+    },
+  };
+}
+
+const MASTER_DIFF_FIELDS = { nNumber: 'N_NUMBER', name: 'NAME', status: 'STATUS_CODE' };
+
+// Compares outgoing and incoming MASTER by N-number. The outgoing file is held
+// in memory as one small entry per registration; the incoming one is fed row by
+// row through add(), so the diff can share a pass over it with other consumers.
+async function createMasterDiff(previousSource) {
+  const previous = new Map();
+  const previousRows = await scanCsvRecords(previousSource, 'MASTER', MASTER_DIFF_FIELDS, (r) => {
+    const key = r.nNumber.toUpperCase();
+    if (key) previous.set(key, { name: r.name, status: r.status });
+  });
+
+  const added = [];
+  const ownerChanged = [];
+  const statusChanged = [];
+  let currentRows = 0;
+
+  return {
+    fields: MASTER_DIFF_FIELDS,
+    add(r) {
+      currentRows++;
+      const key = r.nNumber.toUpperCase();
+      if (!key) return;
+
+      const before = previous.get(key);
+      if (!before) {
+        added.push(key);
+        return;
+      }
+      previous.delete(key);
+
+      if (before.name !== r.name) ownerChanged.push({ nNumber: key, from: before.name, to: r.name });
+      if (before.status !== r.status) {
+        statusChanged.push({ nNumber: key, from: before.status, to: r.status });
+      }
+    },
+    finish() {
+      const removed = Array.from(previous.keys());
+      return {
+        previousRows,
+        currentRows,
+        counts: {
+          added: added.length,
+          removed: removed.length,
+          ownerChanged: ownerChanged.length,
+          statusChanged: statusChanged.length,
+        },
+        added,
+        removed,
+        ownerChanged,
+        statusChanged,
+      };
+    },
+  };
+}
+
+// Runs a consumer built by one of the create* functions over a whole file.
+async function feedMaster(masterSource, consumer) {
+  await scanCsvRecords(masterSource, 'MASTER', consumer.fields, (r) => consumer.add(r));
+  return consumer.finish();
+}
+
+async function diffMasterFiles(previousSource, nextSource) {
+  return feedMaster(nextSource, await createMasterDiff(previousSource));
+}
+
+const MASTER_FLEET_FIELDS = {
+  nNumber: 'N_NUMBER',
+  name: 'NAME',
+  year: 'YEAR_MFR',
+  airWorthDate: 'AIR_WORTH_DATE',
+  mfrMdlCode: 'MFR_MDL_CODE',
+  kitManufacturer: 'KIT_MFR',
+  kitModel: 'KIT_MODEL',
+};
+
+function roundAge(value) {
+  return Math.round(value * 10) / 10;
+}
+
+function agePercentile(sortedAges, pct) {
+  const at = Math.min(sortedAges.length - 1, Math.ceil((pct / 100) * sortedAges.length) - 1);
+  return sortedAges[Math.max(0, at)];
+}
+
+function ageHistogram(ages) {
+  const buckets = new Map();
+  for (const age of ages) buckets.set(Math.floor(age), (buckets.get(Math.floor(age)) || 0) + 1);
+  return Array.from(buckets, ([age, count]) => ({ age, count })).sort((a, b) => a.age - b.age);
+}
+
+const ACFTREF_MODEL_FIELDS = { code: 'CODE', mfr: 'MFR', model: 'MODEL', seats: 'NO_SEATS' };
+
+async function readAcftRefModels(acftRefSource) {
+  const models = new Map();
+  await scanCsvRecords(acftRefSource, 'ACFTREF', ACFTREF_MODEL_FIELDS, (r) => {
+    const normalized = normalizeAircraftModel(r.mfr, r.model);
+    models.set(r.code.toUpperCase(), {
+      manufacturer: r.mfr,
+      model: r.model,
+      seats: Number(r.seats) || 0,
+      name: normalized ? normalized.name : '',
+      mapped: !!(normalized && normalized.mapped),
+    });
+  });
+  return models;
+}
+
+function summarizeFleet(name, aircraft) {
+  const aged = aircraft.filter((a) => a.age !== null).sort((a, b) => a.age - b.age);
+  const ages = aged.map((a) => a.age);
+  const mean = (list) => (list.length ? roundAge(list.reduce((sum, n) => sum + n, 0) / list.length) : null);
+
+  const models = new Map();
+  for (const a of aircraft) {
+    if (!models.has(a.model)) models.set(a.model, []);
+    models.get(a.model).push(a);
+  }
+
+  const tail = (a) => a && { registration: `N${a.nNumber}`, model: a.model, age: a.age };
+  const percentiles = {};
+  if (ages.length) for (const pct of [5, 25, 50, 75, 95]) percentiles[`p${pct}`] = agePercentile(ages, pct);
+
+  return {
+    operator: name,
+    slug: fleetSlug(name),
+    count: aircraft.length,
+    unknownAge: aircraft.length - ages.length,
+    meanAge: mean(ages),
+    medianAge: ages.length ? percentiles.p50 : null,
+    percentiles,
+    youngest: tail(aged[0]),
+    oldest: tail(aged[aged.length - 1]),
+    histogram: ageHistogram(ages),
+    models: Array.from(models, ([model, list]) => ({
+      model,
+      count: list.length,
+      meanAge: mean(list.filter((a) => a.age !== null).map((a) => a.age)),
+    })).sort((a, b) => b.count - a.count || String(a.model).localeCompare(String(b.model))),
+  };
+}
+
+// Fleet statistics per registrant (MASTER's NAME) with more than
+// `minAircraft` aircraft, ages as of `asOf`, from MASTER rows fed through
+// add(). Every registrant's aircraft are held (one small entry each) until
+// finish() drops the small fleets, so it takes a single pass.
+function createFleetSummary(models, { asOf, minAircraft = FLEET_MIN_AIRCRAFT }) {
+  const fleets = new Map();
+  return {
+    fields: MASTER_FLEET_FIELDS,
+    add(r) {
+      const name = normalizeOperatorName(r.name);
+      if (!name) return;
+
+      const age = computeAircraftAge(r, asOf);
+      const ref = models.get(r.mfrMdlCode.toUpperCase());
+      const kit = ref ? null : normalizeAircraftModel(r.kitManufacturer, r.kitModel);
+      const model = (ref && ref.name) || (kit && kit.name) || null;
+      if (!fleets.has(name)) fleets.set(name, []);
+      fleets.get(name).push({ nNumber: r.nNumber.toUpperCase(), age: age ? age.decimal : null, model });
+    },
+    finish() {
+      const operators = Array.from(fleets)
+        .filter(([, aircraft]) => aircraft.length > minAircraft)
+        .map(([name, aircraft]) => summarizeFleet(name, aircraft))
+        .sort((a, b) => b.count - a.count || a.operator.localeCompare(b.operator));
+      return { generatedAt: new Date().toISOString(), asOf, minAircraft, operators };
+    },
+  };
+}
+
+async function buildFleetSummary(masterSource, acftRefSource, options) {
+  return feedMaster(masterSource, createFleetSummary(await readAcftRefModels(acftRefSource), options));
+}
+
+function summarizeAges(ages) {
+  const sorted = ages.sort((a, b) => a - b);
+  return { count: sorted.length, medianAge: agePercentile(sorted, 50), histogram: ageHistogram(sorted) };
+}
+
+// Age distribution of every aircraft with a known age, per ACFTREF code
+// (MFR MDL CODE) and per model family, as of `asOf`, from MASTER rows fed
+// through add(). Models with no more than `minAircraft` such aircraft are
+// left out; their aircraft still count towards the family. `unmapped` lists
+// the airliner-sized models the family table does not know yet, most
+// registered first.
+function createModelSummary(refs, { asOf, minAircraft = MODEL_MIN_AIRCRAFT }) {
+  const byCode = new Map();
+  return {
+    fields: MASTER_FLEET_FIELDS,
+    add(r) {
+      const code = r.mfrMdlCode.toUpperCase();
+      const age = refs.has(code) ? computeAircraftAge(r, asOf) : null;
+      if (!age) return;
+      if (!byCode.has(code)) byCode.set(code, []);
+      byCode.get(code).push(age.decimal);
+    },
+    finish() {
+      const models = {};
+      const familyAges = new Map();
+      const unmapped = [];
+      for (const [code, ages] of byCode) {
+        const ref = refs.get(code);
+        const family = modelFamilyName(ref.manufacturer, ref.model);
+        if (family) {
+          if (!familyAges.has(family)) familyAges.set(family, []);
+          const list = familyAges.get(family);
+          for (const age of ages) list.push(age);
+        }
+        if (ages.length > minAircraft) {
+          models[code] = { name: ref.name, family, ...summarizeAges(ages) };
+        }
+        if (!ref.mapped && ref.seats >= UNMAPPED_MODEL_MIN_SEATS) {
+          const { manufacturer, model, seats } = ref;
+          unmapped.push({ code, manufacturer, model, seats, count: ages.length });
+        }
+      }
+
+      const families = {};
+      for (const [family, ages] of familyAges) {
+        if (ages.length > minAircraft) families[family] = summarizeAges(ages);
+      }
+      unmapped.sort((a, b) => b.count - a.count || a.code.localeCompare(b.code));
+      return { generatedAt: new Date().toISOString(), asOf, minAircraft, models, families, unmapped };
+    },
+  };
+}
+
+async function buildModelSummary(masterSource, acftRefSource, options) {
+  return feedMaster(masterSource, createModelSummary(await readAcftRefModels(acftRefSource), options));
+}
+
+async function pruneLocalChangelogs(dir, keep) {
+  const names = (await fsp.readdir(dir)).filter((n) => /^changelog-.*\.json$/.test(n)).sort();
+  for (const name of names.slice(0, Math.max(0, names.length - keep))) {
+    await fsp.rm(path.join(dir, name), { force: true });
+  }
+}
+
+async function writeChangelog(p, stamp, changelog) {
+  await fsp.mkdir(p.changelogDir, { recursive: true });
+  const filePath = path.join(p.changelogDir, `changelog-${stamp}.json`);
+  await fsp.writeFile(filePath, JSON.stringify(changelog, null, 2) + '\n');
+  await pruneLocalChangelogs(p.changelogDir, CHANGELOG_KEEP);
+  return filePath;
+}
+
+async function pruneGcsChangelogs(bucket, keep) {
+  const [files] = await bucket.getFiles({ prefix: objectInPrefix(GCS_PREFIX, 'changelogs/') });
+  const names = files.map((f) => f.name).filter((n) => /changelog-[^/]*\.json$/.test(n)).sort();
+  for (const name of names.slice(0, Math.max(0, names.length - keep))) {
+    await bucket.file(name).delete({ ignoreNotFound: true });
+  }
+}
+
+const SNAPSHOT_FILE_KEYS = [
+  'master',
+  'acftref',
+  'masterIndex',
+  'masterHexIndex',
+  'dereg',
+  'deregIndex',
+  'engine',
+];
+
+// Sorts a manifest history oldest first and splits it into the newest `keep`
+// entries and the rest. Files still referenced by a kept entry are not
+// returned for deletion.
+function applySnapshotRetention(snapshots, keep) {
+  const sorted = [...snapshots].sort((a, b) => String(a.updatedAt).localeCompare(String(b.updatedAt)));
+  const cut = Math.max(0, sorted.length - keep);
+  const kept = sorted.slice(cut);
+  const dropped = sorted.slice(0, cut);
+
+  const keptFiles = new Set(kept.flatMap((entry) => SNAPSHOT_FILE_KEYS.map((k) => entry[k]).filter(Boolean)));
+  const orphaned = new Set();
+  for (const entry of dropped) {
+    for (const key of SNAPSHOT_FILE_KEYS) {
+      if (entry[key] && !keptFiles.has(entry[key])) orphaned.add(entry[key]);
+    }
+  }
+  return { kept, dropped, orphaned: [...orphaned] };
+}
+
+async function readHistoryFile(filePath) {
+  try {
+    const parsed = JSON.parse(await fsp.readFile(filePath, 'utf8'));
+    return Array.isArray(parsed.snapshots) ? parsed.snapshots : [];
+  } catch (err) {
+    if (err && (err.code === 'ENOENT' || err instanceof SyntaxError)) return [];
+    throw err;
+  }
+}
+
+async function linkOrCopy(from, to) {
+  try {
+    await fsp.link(from, to);
+  } catch (err) {
+    if (!err || !['EXDEV', 'EPERM', 'ENOTSUP'].includes(err.code)) throw err;
+    await fsp.copyFile(from, to);
+  }
+}
+
+// Hard-links the freshly swapped files into data/snapshots/<stamp>/ (the swap
+// renames, so older snapshots keep their own inodes) and records the entry in
+// data/snapshots/history.json.
+async function snapshotLocalData(p, { stamp, updatedAt, checksums }) {
+  if (!LOCAL_SNAPSHOT_KEEP) return null;
+
+  const dir = path.join(p.snapshotDir, stamp);
+  await fsp.mkdir(dir, { recursive: true });
+  const files = {
+    master: [p.masterPath, 'master.csv'],
+    acftref: [p.acftRefPath, 'acftref.csv'],
+    masterIndex: [p.masterIndexPath, 'master.idx'],
+    masterHexIndex: [p.masterHexIndexPath, 'master-hex.idx'],
+    dereg: [p.deregPath, 'dereg.csv'],
+    deregIndex: [p.deregIndexPath, 'dereg.idx'],
+    engine: [p.enginePath, 'engine.csv'],
+  };
+
+  const entry = { updatedAt };
+  for (const [key, [from, name]] of Object.entries(files)) {
+    await fsp.rm(path.join(dir, name), { force: true });
+    await linkOrCopy(from, path.join(dir, name));
+    entry[key] = path.posix.join('snapshots', stamp, name);
+  }
+  entry.checksums = checksums;
+
+  const history = (await readHistoryFile(p.historyPath)).filter((e) => e.updatedAt !== updatedAt);
+  const { kept, dropped } = applySnapshotRetention([...history, entry], LOCAL_SNAPSHOT_KEEP);
+
+  const tmpPath = `${p.historyPath}.tmp`;
+  await fsp.writeFile(tmpPath, JSON.stringify({ snapshots: kept }, null, 2) + '\n');
+  await fsp.rename(tmpPath, p.historyPath);
+
+  for (const old of dropped) {
+    const oldDir = path.dirname(path.resolve(p.dataDir, old.master));
+    if (path.dirname(oldDir) === p.snapshotDir) await fsp.rm(oldDir, { recursive: true, force: true });
+  }
+  return dir;
+}
+
+async function readGcsHistoryJson(bucket) {
+  try {
+    const [buf] = await bucket.file(GCS_HISTORY_OBJECT).download();
+    const parsed = JSON.parse(String(buf || ''));
+    return Array.isArray(parsed.snapshots) ? parsed.snapshots : [];
+  } catch (err) {
+    if (err && (err.code === 404 || err instanceof SyntaxError)) return null;
+    throw err;
+  }
+}
+
+async function uploadFileToGcs(bucket, localPath, objectName, contentType = 'text/plain; charset=utf-8') {
   const file = bucket.file(objectName);
   await pipeline(
     fs.createReadStream(localPath),
     file.createWriteStream({
       resumable: true,
-      metadata: { contentType: 'text/plain; charset=utf-8' },
+      metadata: { contentType },
     })
   );
 }
 
+async function verifyUploadedObject(bucket, localPath, objectName) {
+  const [metadata] = await bucket.file(objectName).getMetadata();
+  const { size } = await fsp.stat(localPath);
+  if (Number(metadata.size) !== size) {
+    throw new Error(`Upload size mismatch for gs://${GCS_BUCKET}/${objectName} (${metadata.size} != ${size})`);
+  }
+}
+
 async function uploadManifest(bucket, objectName, payload) {
   const body = JSON.stringify(payload, null, 2) + '\n';
   await bucket.file(objectName).save(body, {
@@ -186,47 +891,225 @@ async function uploadManifest(bucket, objectName, payload) {
   });
 }
 
-async function uploadToGcsIfConfigured(p) {
+async function uploadToGcsIfConfigured(p, { stamp, updatedAt, checksums, changelog, changelogPath }) {
   if (!GCS_BUCKET) return;
-  const { Storage } = require('@google-cloud/storage');
-  const storage = new Storage();
-  const bucket = storage.bucket(GCS_BUCKET);
+  const bucket = gcsBucket();
 
-  const stamp = refreshStamp();
   const masterObject = objectInPrefix(GCS_PREFIX, `master-${stamp}.csv`);
   const acftRefObject = objectInPrefix(GCS_PREFIX, `acftref-${stamp}.csv`);
+  const masterIndexObject = objectInPrefix(GCS_PREFIX, `master-${stamp}.idx`);
+  const masterHexIndexObject = objectInPrefix(GCS_PREFIX, `master-hex-${stamp}.idx`);
+  const deregObject = objectInPrefix(GCS_PREFIX, `dereg-${stamp}.csv`);
+  const deregIndexObject = objectInPrefix(GCS_PREFIX, `dereg-${stamp}.idx`);
+  const engineObject = objectInPrefix(GCS_PREFIX, `engine-${stamp}.csv`);
+  const changelogObject = objectInPrefix(GCS_PREFIX, `changelogs/changelog-${stamp}.json`);
+  const summaryObjects = {
+    fleet: objectInPrefix(GCS_PREFIX, `fleet-${stamp}.json`),
+    models: objectInPrefix(GCS_PREFIX, `models-${stamp}.json`),
+  };
 
   console.log(`Uploading to gs://${GCS_BUCKET}/${GCS_PREFIX || ''}...`);
   await uploadFileToGcs(bucket, p.masterPath, masterObject);
   await uploadFileToGcs(bucket, p.acftRefPath, acftRefObject);
+  await uploadFileToGcs(bucket, p.masterIndexPath, masterIndexObject, 'application/octet-stream');
+  await uploadFileToGcs(bucket, p.masterHexIndexPath, masterHexIndexObject, 'application/octet-stream');
+  await uploadFileToGcs(bucket, p.deregPath, deregObject);
+  await uploadFileToGcs(bucket, p.deregIndexPath, deregIndexObject, 'application/octet-stream');
+  await uploadFileToGcs(bucket, p.enginePath, engineObject);
+  if (changelogPath) {
+    await uploadFileToGcs(bucket, changelogPath, changelogObject, 'application/json; charset=utf-8');
+  }
+  await uploadFileToGcs(bucket, p.fleetPath, summaryObjects.fleet, 'application/json; charset=utf-8');
+  await uploadFileToGcs(bucket, p.modelsPath, summaryObjects.models, 'application/json; charset=utf-8');
 
-  await uploadManifest(bucket, GCS_MANIFEST_OBJECT, {
-    updatedAt: new Date().toISOString(),
+  await verifyUploadedObject(bucket, p.masterPath, masterObject);
+  await verifyUploadedObject(bucket, p.acftRefPath, acftRefObject);
+  await verifyUploadedObject(bucket, p.masterIndexPath, masterIndexObject);
+  await verifyUploadedObject(bucket, p.masterHexIndexPath, masterHexIndexObject);
+  await verifyUploadedObject(bucket, p.deregPath, deregObject);
+  await verifyUploadedObject(bucket, p.deregIndexPath, deregIndexObject);
+  await verifyUploadedObject(bucket, p.enginePath, engineObject);
+
+  const files = {
     master: masterObject,
     acftref: acftRefObject,
+    masterIndex: masterIndexObject,
+    masterHexIndex: masterHexIndexObject,
+    dereg: deregObject,
+    deregIndex: deregIndexObject,
+    engine: engineObject,
+  };
+
+  // The first run with history enabled seeds it with the outgoing manifest so
+  // the snapshot it replaces stays resolvable.
+  let retention = null;
+  if (SNAPSHOT_KEEP) {
+    let history = await readGcsHistoryJson(bucket);
+    if (!history) {
+      const previous = await readGcsManifestJson(bucket);
+      history = previous && previous.updatedAt && previous.master && previous.acftref ? [previous] : [];
+    }
+    const entries = history
+      .filter((e) => e && e.updatedAt !== updatedAt)
+      .map((e) => {
+        const entry = { updatedAt: e.updatedAt };
+        for (const key of SNAPSHOT_FILE_KEYS) entry[key] = e[key] || null;
+        if (e.checksums) entry.checksums = e.checksums;
+        return entry;
+      });
+    retention = applySnapshotRetention([...entries, { updatedAt, ...files, checksums }], SNAPSHOT_KEEP);
+    await uploadManifest(bucket, GCS_HISTORY_OBJECT, { snapshots: retention.kept });
+  }
+
+  // Fleet and model statistics only describe the current snapshot, so the
+  // outgoing manifest's copies are dropped rather than kept with the history.
+  const outgoing = await readGcsManifestJson(bucket);
+  await uploadManifest(bucket, GCS_MANIFEST_OBJECT, {
+    updatedAt,
+    ...files,
+    checksums,
+    ...summaryObjects,
+    changes: changelog
+      ? {
+          changelog: changelogObject,
+          previousUpdatedAt: changelog.previous.updatedAt,
+          previousRows: changelog.previous.rows,
+          currentRows: changelog.current.rows,
+          counts: changelog.counts,
+        }
+      : null,
   });
 
   console.log(`Updated manifest: gs://${GCS_BUCKET}/${GCS_MANIFEST_OBJECT}`);
+
+  const retired = retention ? [...retention.orphaned] : [];
+  for (const [key, objectName] of Object.entries(summaryObjects)) {
+    if (outgoing && typeof outgoing[key] === 'string' && outgoing[key] !== objectName) {
+      retired.push(outgoing[key]);
+    }
+  }
+  if (!retired.length && !changelogPath) return;
+
+  console.log(`Waiting ${GCS_DELETE_GRACE_MS}ms for servers to drop the outgoing manifest before cleanup...`);
+  await sleep(GCS_DELETE_GRACE_MS);
+  if (changelogPath) await pruneGcsChangelogs(bucket, CHANGELOG_KEEP);
+  for (const objectName of retired) {
+    await bucket.file(objectName).delete({ ignoreNotFound: true });
+  }
+  if (retired.length) console.log(`Deleted ${retired.length} retired object(s).`);
 }
 
-async function main() {
+async function refreshFaa({ source = null, validation = {} } = {}) {
   const p = paths();
+  const stamp = refreshStamp();
   await fsp.mkdir(p.dataDir, { recursive: true });
 
   try {
-    console.log('Downloading FAA registry zip...');
-    await downloadToFile(FAA_ZIP_URL, p.zipPath);
+    const checksums = await stageFaaFiles(p, source);
 
-    console.log('Extracting MASTER.txt...');
-    await extractTxtFromZip(p.zipPath, 'master.txt', p.extractedMasterPath);
+    console.log('Checking MASTER/ACFTREF/DEREG/ENGINE header columns...');
+    await checkFaaCsvHeader('MASTER', p.extractedMasterPath);
+    await checkFaaCsvHeader('ACFTREF', p.extractedAcftRefPath);
+    await checkFaaCsvHeader('DEREG', p.extractedDeregPath);
+    await checkFaaCsvHeader('ENGINE', p.extractedEnginePath);
 
-    console.log('Extracting ACFTREF.txt...');
-    await extractTxtFromZip(p.zipPath, 'acftref.txt', p.extractedAcftRefPath);
+    // MASTER is read once: the pass that builds both of its indexes also feeds
+    // the changelog diff and the fleet and model statistics.
+    const asOf = new Date().toISOString().slice(0, 10);
+    const acftRefModels = await readAcftRefModels(p.extractedAcftRefPath);
+    const previous = await currentMasterSource(p);
+    if (previous) console.log('Reading outgoing MASTER to diff against...');
+    else console.log('No outgoing MASTER to diff against; skipping changelog.');
+    const diff = previous ? await createMasterDiff(previous.source) : null;
+    const fleetStats = createFleetSummary(acftRefModels, { asOf });
+    const modelStats = createModelSummary(acftRefModels, { asOf });
+    const consumers = [diff, fleetStats, modelStats].filter(Boolean);
+
+    console.log('Indexing MASTER by N-number and Mode S hex, diffing it and building age statistics...');
+    const [indexStats, hexStats] = await buildCsvKeyIndexes(
+      p.extractedMasterPath,
+      [
+        { indexPath: p.extractedMasterIndexPath, keyColumn: MASTER_COLUMNS.N_NUMBER },
+        { indexPath: p.extractedMasterHexIndexPath, keyColumn: MASTER_COLUMNS.MODE_S_CODE_HEX },
+      ],
+      {
+        label: 'MASTER',
+        fields: Object.assign({}, ...consumers.map((c) => c.fields)),
+        onRecord: (r) => {
+          for (const consumer of consumers) consumer.add(r);
+        },
+      }
+    );
+    console.log(`Indexed ${indexStats.rows} MASTER rows (${indexStats.uniqueKeys} N-numbers).`);
+    console.log(`Indexed ${hexStats.rows} MASTER rows by Mode S hex (${hexStats.uniqueKeys} codes).`);
+    const deregStats = await buildCsvKeyIndex(p.extractedDeregPath, p.extractedDeregIndexPath, {
+      label: 'DEREG',
+      keyColumn: 'N-NUMBER',
+    });
+    console.log(`Indexed ${deregStats.rows} DEREG rows (${deregStats.uniqueKeys} N-numbers).`);
+    const acftRefRows = await scanCsvRecords(p.extractedAcftRefPath, 'ACFTREF', {}, () => {});
+    const engineRows = await scanCsvRecords(p.extractedEnginePath, 'ENGINE', {}, () => {});
+
+    let changelog = null;
+    if (diff) {
+      const { previousRows, currentRows, counts, ...changes } = diff.finish();
+      changelog = {
+        generatedAt: new Date().toISOString(),
+        previous: {
+          source: String(previous.source.id || previous.source),
+          updatedAt: previous.updatedAt,
+          rows: previousRows,
+        },
+        current: { rows: currentRows },
+        counts,
+        ...changes,
+      };
+      console.log(
+        `MASTER ${previousRows} -> ${currentRows} rows: +${counts.added} -${counts.removed}, ` +
+          `${counts.ownerChanged} owner changes, ${counts.statusChanged} status changes.`
+      );
+    }
+
+    const fleet = fleetStats.finish();
+    await fsp.writeFile(p.extractedFleetPath, JSON.stringify(fleet) + '\n');
+    console.log(`Summarized ${fleet.operators.length} fleets of more than ${fleet.minAircraft} aircraft.`);
+    const modelSummary = modelStats.finish();
+    await fsp.writeFile(p.extractedModelsPath, JSON.stringify(modelSummary) + '\n');
+    console.log(
+      `Summarized ages for ${Object.keys(modelSummary.models).length} models ` +
+        `and ${Object.keys(modelSummary.families).length} families.`
+    );
+    if (modelSummary.unmapped.length) {
+      const top = modelSummary.unmapped.slice(0, 10).map((m) => `${m.manufacturer} ${m.model} (${m.count})`);
+      console.warn(
+        `${modelSummary.unmapped.length} airliner-sized models have no family mapping; ` +
+          `most registered: ${top.join(', ')}`
+      );
+    }
+
+    console.log('Validating extracted data...');
+    validateRefreshData(
+      {
+        masterStats: indexStats,
+        acftRefRows,
+        deregStats,
+        engineRows,
+        previousMasterRows: changelog ? changelog.previous.rows : null,
+      },
+      validation
+    );
 
     console.log('Swapping in new data files...');
     await atomicSwap(p);
 
-    await uploadToGcsIfConfigured(p);
+    const updatedAt = new Date().toISOString();
+    const snapshotPath = await snapshotLocalData(p, { stamp, updatedAt, checksums });
+    if (snapshotPath) console.log(`Snapshot: ${snapshotPath}`);
+
+    const changelogPath = changelog ? await writeChangelog(p, stamp, changelog) : null;
+    if (changelogPath) console.log(`Wrote ${changelogPath}`);
+
+    await uploadToGcsIfConfigured(p, { stamp, updatedAt, checksums, changelog, changelogPath });
 
     console.log('Done.');
   } catch (err) {
@@ -235,7 +1118,21 @@ async function main() {
   }
 }
 
-main().catch((err) => {
-  console.error(err && err.stack ? err.stack : String(err));
-  process.exitCode = 1;
-});
+if (require.main === module) {
+  refreshFaa({ source: sourceFromArgs() }).catch((err) => {
+    console.error(err && err.stack ? err.stack : String(err));
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  extractFromZip,
+  refreshFaa,
+  sourceFromArgs,
+  validateRefreshData,
+  diffMasterFiles,
+  pruneLocalChangelogs,
+  applySnapshotRetention,
+  buildFleetSummary,
+  buildModelSummary,
+};
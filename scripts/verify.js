@@ -3,7 +3,7 @@ const fsp = require('fs/promises');
 const path = require('path');
 const readline = require('readline');
 
-const { findAircraftInMasterCsv } = require('../server');
+const { findAircraftInMasterCsv, findAircraftByNNumber } = require('../server');
 
 function mb(bytes) {
   return Math.round((bytes / 1024 / 1024) * 10) / 10;
@@ -111,6 +111,19 @@ async function main() {
   printMem('after', after);
   console.log(`delta: rss=${mb(after.rss - before.rss)}MB heap=${mb(after.heapUsed - before.heapUsed)}MB`);
   console.log(`time: ${Math.round(elapsedMs)}ms`);
+
+  const indexPath = path.join(path.dirname(csvPath), 'master.idx');
+  try {
+    await fsp.access(indexPath);
+  } catch {
+    console.log('master.idx: missing (indexed lookup skipped)');
+    return;
+  }
+
+  const indexStart = process.hrtime.bigint();
+  await findAircraftByNNumber(target, { master: csvPath, masterIndex: indexPath });
+  const indexElapsedMs = Number(process.hrtime.bigint() - indexStart) / 1e6;
+  console.log(`indexed lookup: ${Math.round(indexElapsedMs)}ms`);
 }
 
 main().catch((err) => {
@@ -6,24 +6,45 @@ if (require.main === module) {
 const express = require('express');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const path = require('path');
 const fs = require('fs');
+const fsp = require('fs/promises');
 const crypto = require('crypto');
 const zlib = require('zlib');
 const readline = require('readline');
+const {
+  ACFTREF_COLUMNS,
+  ACFTREF_RECORD_FIELDS,
+  CSV_READ_HIGH_WATER_MARK,
+  DEREG_COLUMNS,
+  DEREG_RECORD_FIELDS,
+  ENGINE_COLUMNS,
+  ENGINE_RECORD_FIELDS,
+  FAA_FILE_COLUMNS,
+  MASTER_COLUMNS,
+  MASTER_RECORD_FIELDS,
+  coerceCsvSource,
+  computeAircraftAge,
+  envPositiveInt,
+  fleetSlug,
+  formatFaaDate,
+  isIgnorableEarlyCloseError,
+  isProbablyMissingDataError,
+  normalizeAircraftModel,
+  normalizeNNumberField,
+  normalizeOperatorName,
+  parseCsvKeyIndex,
+  readCsvHeaderLine,
+  readCsvKeyField,
+  recordFromCsvLine,
+  resolveCsvColumns,
+  scanCsvRecords,
+  searchCsvKeyIndex,
+} = require('./faa');
 
 const app = express();
 
-function envNumber(raw, fallback) {
-  const n = Number(raw);
-  return Number.isFinite(n) ? n : fallback;
-}
-
-function envPositiveInt(raw, fallback) {
-  return Math.max(0, Math.trunc(envNumber(raw, fallback)));
-}
-
 function envBool(raw, fallback = false) {
   if (raw === undefined || raw === null) return fallback;
   const v = String(raw).trim().toLowerCase();
@@ -38,7 +59,35 @@ const PORT = Number(process.env.PORT || 3000);
 const RAPIDAPI_KEY = process.env.RAPIDAPI_KEY;
 const RAPIDAPI_HOST = 'aerodatabox.p.rapidapi.com';
 const RAPIDAPI_TIMEOUT_MS = Number(process.env.RAPIDAPI_TIMEOUT_MS || 10000);
+// Total time one /check-flight may spend on providers, retries included; it
+// must stay under the browser's 15s FETCH_TIMEOUT_MS in public/app.js.
+const FLIGHT_LOOKUP_BUDGET_MS = envPositiveInt(process.env.FLIGHT_LOOKUP_BUDGET_MS, 12 * 1000);
+const FLIGHT_RETRY = {
+  maxRetries: envPositiveInt(process.env.FLIGHT_RETRY_MAX, 2),
+  baseDelayMs: envPositiveInt(process.env.FLIGHT_RETRY_BASE_MS, 300),
+  maxDelayMs: envPositiveInt(process.env.FLIGHT_RETRY_MAX_DELAY_MS, 3000),
+};
+const FLIGHT_BREAKER = {
+  threshold: envPositiveInt(process.env.FLIGHT_BREAKER_THRESHOLD, 5),
+  cooldownMs: envPositiveInt(process.env.FLIGHT_BREAKER_COOLDOWN_MS, 30 * 1000),
+};
+const FLIGHT_PROVIDERS = String(process.env.FLIGHT_PROVIDERS || '').trim() || 'aerodatabox';
+const FLIGHT_FIXTURE_FILE = String(process.env.FLIGHT_FIXTURE_FILE || '').trim()
+  ? path.resolve(String(process.env.FLIGHT_FIXTURE_FILE).trim())
+  : path.join(__dirname, 'data', 'flight-fixtures.json');
+const AIRLINES_FILE = String(process.env.AIRLINES_FILE || '').trim()
+  ? path.resolve(String(process.env.AIRLINES_FILE).trim())
+  : path.join(__dirname, 'data', 'airlines.json');
 const TRUST_PROXY = process.env.TRUST_PROXY;
+const CHECK_FLIGHT_RATE_LIMIT = envPositiveInt(process.env.CHECK_FLIGHT_RATE_LIMIT, 10);
+const API_RATE_LIMIT = envPositiveInt(process.env.API_RATE_LIMIT, 60);
+const FLIGHT_CACHE_MAX_ENTRIES = envPositiveInt(process.env.FLIGHT_CACHE_MAX_ENTRIES, 5000);
+const FLIGHT_CACHE_FILE = String(process.env.FLIGHT_CACHE_FILE || '').trim();
+const FLIGHT_CACHE_TTL_MS = {
+  past: envPositiveInt(process.env.FLIGHT_CACHE_TTL_PAST_MS, 30 * 24 * 60 * 60 * 1000),
+  today: envPositiveInt(process.env.FLIGHT_CACHE_TTL_TODAY_MS, 10 * 60 * 1000),
+  unassigned: envPositiveInt(process.env.FLIGHT_CACHE_TTL_UNASSIGNED_MS, 60 * 1000),
+};
 const PLANEAGE_DEBUG = envBool(process.env.PLANEAGE_DEBUG, false);
 const FAA_DATA_BACKEND = String(process.env.FAA_DATA_BACKEND || '').trim().toLowerCase();
 const GCS_BUCKET = String(process.env.GCS_BUCKET || '').trim();
@@ -46,29 +95,9 @@ const GCS_MASTER_OBJECT = String(process.env.GCS_MASTER_OBJECT || '').trim();
 const GCS_ACFTREF_OBJECT = String(process.env.GCS_ACFTREF_OBJECT || '').trim();
 const GCS_MANIFEST_OBJECT = String(process.env.GCS_MANIFEST_OBJECT || '').trim() || 'faa/current.json';
 const GCS_MANIFEST_CACHE_MS = envPositiveInt(process.env.GCS_MANIFEST_CACHE_MS, 60 * 1000);
-
-// Fixed FAA file formats (per project assumptions):
-// MASTER.txt header begins with: N-NUMBER,SERIAL NUMBER,MFR MDL CODE,...,YEAR MFR,...,KIT MFR, KIT MODEL,...
-// ACFTREF.txt header begins with: CODE,MFR,MODEL,TYPE-ACFT,...
-const MASTER_COLS = {
-  N_NUMBER: 0,
-  MFR_MDL_CODE: 2,
-  YEAR_MFR: 4,
-  KIT_MFR: 31,
-  KIT_MODEL: 32,
-};
-
-const ACFTREF_COLS = {
-  CODE: 0,
-  MFR: 1,
-  MODEL: 2,
-  TYPE_ACFT: 3,
-};
-
-const CSV_READ_HIGH_WATER_MARK = envPositiveInt(
-  process.env.CSV_READ_HIGH_WATER_MARK,
-  256 * 1024
-);
+const GCS_HISTORY_OBJECT =
+  String(process.env.GCS_HISTORY_OBJECT || '').trim() ||
+  path.posix.join(path.posix.dirname(GCS_MANIFEST_OBJECT), 'history.json');
 
 function localDataDir() {
   const raw = String(process.env.FAA_DATA_DIR || '').trim();
@@ -77,35 +106,110 @@ function localDataDir() {
 
 const masterCsvPath = path.join(localDataDir(), 'master.csv');
 const acftRefCsvPath = path.join(localDataDir(), 'acftref.csv');
+const masterIndexPath = path.join(localDataDir(), 'master.idx');
+const masterHexIndexPath = path.join(localDataDir(), 'master-hex.idx');
+const deregCsvPath = path.join(localDataDir(), 'dereg.csv');
+const deregIndexPath = path.join(localDataDir(), 'dereg.idx');
+const engineCsvPath = path.join(localDataDir(), 'engine.csv');
+const fleetSummaryPath = path.join(localDataDir(), 'fleet.json');
+const modelSummaryPath = path.join(localDataDir(), 'models.json');
 
 const MSG_INVALID_INPUT = 'Invalid input.';
 const MSG_SERVER_ERROR = 'Server error.';
 const MSG_NOT_FOUND = 'Not found.';
 
+// Fixture entries with a `demo` result answer /check-flight directly, without
+// a provider or registry lookup (the public TT111 demo lives in the default
+// data/flight-fixtures.json).
 function getPublicBypassResult(flightNumber, date) {
-  if (flightNumber !== 'TT111') return null;
-  if (date !== '2025-01-01') return null;
-
-  return {
-    registration: 'TT-111',
-    nNumber: null,
-    year: '2015',
-    manufacturer: 'Incom Corporation',
-    model: 'T-65B X-wing Starfighter',
-    age: 10,
-  };
+  const entry = findFlightFixture(FLIGHT_FIXTURE_FILE, flightNumber, date);
+  return entry && entry.demo ? { ...entry.demo } : null;
 }
 
 function normalizeFlightNumber(value) {
   return String(value || '').replace(/\s+/g, '').toUpperCase();
 }
 
+function airlineNameKey(value) {
+  return String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toUpperCase()
+    .replace(/[^0-9A-Z]/g, '');
+}
+
+const airlineTableCache = new Map();
+
+// data/airlines.json lists { iata, icao, name, aliases? } entries. Codes are
+// keyed before names so a name can never shadow another airline's code.
+function loadAirlines(filePath = AIRLINES_FILE) {
+  if (airlineTableCache.has(filePath)) return airlineTableCache.get(filePath);
+
+  let list;
+  try {
+    list = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    if (err && err.code === 'ENOENT') list = [];
+    else throw new Error(`${filePath}: unreadable airline table (${err.message})`);
+  }
+
+  const airlines = [];
+  for (const entry of Array.isArray(list) ? list : []) {
+    const iata = String((entry && entry.iata) || '').trim().toUpperCase();
+    const icao = String((entry && entry.icao) || '').trim().toUpperCase();
+    const name = String((entry && entry.name) || '').trim();
+    if (!/^[0-9A-Z]{2}$/.test(iata) && !/^[A-Z]{3}$/.test(icao)) {
+      throw new Error(`${filePath}: every airline needs a 2-character IATA or 3-letter ICAO code`);
+    }
+    const aliases = Array.isArray(entry.aliases) ? entry.aliases.map(String) : [];
+    airlines.push({ iata: iata || null, icao: icao || null, name: name || null, aliases });
+  }
+
+  const byKey = new Map();
+  const add = (key, airline) => {
+    if (key && !byKey.has(key)) byKey.set(key, airline);
+  };
+  for (const airline of airlines) {
+    add(airline.iata, airline);
+    add(airline.icao, airline);
+  }
+  for (const airline of airlines) {
+    for (const name of [airline.name, ...airline.aliases]) add(airlineNameKey(name), airline);
+  }
+
+  const table = { airlines, byKey };
+  airlineTableCache.set(filePath, table);
+  return table;
+}
+
+// Rewrites "DAL47", "Delta 47" or "dl 47" to the IATA designator the
+// providers expect ("DL47"). Unknown airlines pass through unchanged.
+function resolveFlightDesignator(value, { byKey } = loadAirlines()) {
+  const compact = airlineNameKey(value);
+  for (let i = 1; i < compact.length; i++) {
+    const number = compact.slice(i);
+    if (!/^\d{1,4}[A-Z]?$/.test(number)) continue;
+    const airline = byKey.get(compact.slice(0, i));
+    if (airline) return { flightNumber: `${airline.iata || airline.icao}${number}`, airline };
+  }
+  return { flightNumber: compact, airline: null };
+}
+
+function airlineSummary(airline) {
+  return airline ? { iata: airline.iata, icao: airline.icao, name: airline.name } : null;
+}
+
 function normalizeDate(value) {
   const raw = String(value || '').trim();
   if (/^\d{4}-\d{2}-\d{2}$/.test(raw)) return raw;
   return null;
 }
 
+function normalizeAirportCode(value) {
+  const raw = String(value || '').trim().toUpperCase();
+  return /^[A-Z0-9]{3,4}$/.test(raw) ? raw : null;
+}
+
 function normalizeNNumberFromRegistration(registration) {
   const cleaned = String(registration || '').trim().replace(/[^0-9a-z]/gi, '');
   return cleaned.replace(/^N/i, '').toUpperCase();
@@ -116,129 +220,110 @@ function extractRegistrationFromFlightResponse(data) {
   return data?.[0]?.aircraft?.reg || data?.[0]?.aircraft?.registration || null;
 }
 
-function stripLeadingBom(value) {
-  const str = String(value || '');
-  if (str.length > 0 && str.charCodeAt(0) === 0xfeff) return str.slice(1);
-  return str;
-}
-
-function stripAllQuotes(value) {
-  const str = String(value || '');
-  if (str.indexOf('"') === -1) return str;
-  let out = '';
-  for (let i = 0; i < str.length; i++) {
-    const ch = str[i];
-    if (ch !== '"') out += ch;
+// Every distinct registration in an AeroDataBox flight array, in response
+// order (codeshares repeat the operating flight's aircraft).
+function extractRegistrationsFromFlightResponse(data) {
+  if (!Array.isArray(data)) return [];
+  const registrations = [];
+  for (const flight of data) {
+    const reg = flight?.aircraft?.reg || flight?.aircraft?.registration || null;
+    if (reg && !registrations.includes(reg)) registrations.push(reg);
   }
-  return out;
+  return registrations;
 }
 
-function toUpperIfNeeded(value) {
-  const str = String(value || '');
-  for (let i = 0; i < str.length; i++) {
-    const code = str.charCodeAt(i);
-    if (code >= 97 && code <= 122) return str.toUpperCase();
-  }
-  return str;
+function flightAirport(movement) {
+  const airport = (movement && movement.airport) || {};
+  const code = (value) => String(value || '').trim().toUpperCase() || null;
+  const iata = code(airport.iata);
+  const icao = code(airport.icao);
+  if (!iata && !icao) return null;
+  return { iata, icao, name: String(airport.shortName || airport.name || '').trim() || null };
 }
 
-function normalizeNNumberField(value) {
-  return toUpperIfNeeded(stripAllQuotes(stripLeadingBom(value)).trim());
+function flightScheduledTime(movement, zone) {
+  if (!movement) return null;
+  const key = zone === 'utc' ? 'Utc' : 'Local';
+  return (movement.scheduledTime && movement.scheduledTime[zone]) || movement[`scheduledTime${key}`] || null;
 }
 
-function readFirstCsvField(line) {
-  const str = String(line || '');
-  if (!str) return '';
-
-  if (str[0] !== '"') {
-    const comma = str.indexOf(',');
-    if (comma === -1) return str;
-    return str.slice(0, comma);
-  }
-
-  let inQuotes = true;
-  let field = '';
-
-  for (let i = 1; i < str.length; i++) {
-    const ch = str[i];
-    if (inQuotes) {
-      if (ch === '"') {
-        if (str[i + 1] === '"') {
-          field += '"';
-          i++;
-        } else {
-          inQuotes = false;
-        }
-      } else {
-        field += ch;
-      }
-      continue;
+// One entry per distinct leg (origin, destination, scheduled departure), in
+// response order. Codeshare entries for the same leg are merged; when they
+// disagree on the aircraft, the operating carrier's registration wins and
+// the others stay in `registrations`.
+function extractFlightLegsFromFlightResponse(data) {
+  if (!Array.isArray(data)) return [];
+  const legs = [];
+  const byKey = new Map();
+
+  for (const flight of data) {
+    const origin = flightAirport(flight && flight.departure);
+    const destination = flightAirport(flight && flight.arrival);
+    const scheduledDeparture = flightScheduledTime(flight && flight.departure, 'local');
+    const departureUtc = flightScheduledTime(flight && flight.departure, 'utc');
+    const registration = flight?.aircraft?.reg || flight?.aircraft?.registration || null;
+    const isOperator = flight && flight.codeshareStatus === 'IsOperator';
+
+    const key = [
+      origin && (origin.icao || origin.iata),
+      destination && (destination.icao || destination.iata),
+      departureUtc || scheduledDeparture,
+    ].join('|');
+
+    let leg = byKey.get(key);
+    if (!leg) {
+      leg = {
+        origin,
+        destination,
+        scheduledDeparture,
+        scheduledArrival: flightScheduledTime(flight && flight.arrival, 'local'),
+        registration: null,
+        registrations: [],
+        operatorRegistration: null,
+      };
+      byKey.set(key, leg);
+      legs.push(leg);
     }
 
-    if (ch === ',') break;
+    if (registration && !leg.registrations.includes(registration)) leg.registrations.push(registration);
+    if (registration && isOperator && !leg.operatorRegistration) leg.operatorRegistration = registration;
   }
 
-  return field;
+  return legs.map(({ operatorRegistration, ...leg }) => ({
+    ...leg,
+    registration: operatorRegistration || leg.registrations[0] || null,
+  }));
 }
 
-function makeWantedCsvIndices(indices) {
-  const unique = Array.from(new Set(indices)).filter((n) => Number.isFinite(n) && n >= 0);
-  unique.sort((a, b) => a - b);
-  return {
-    indices: unique,
-    set: new Set(unique),
-    max: unique.length ? unique[unique.length - 1] : -1,
-  };
+function legMatchesRoute(leg, { from = null, to = null } = {}) {
+  const matches = (airport, code) => !code || (!!airport && (airport.iata === code || airport.icao === code));
+  return matches(leg.origin, from) && matches(leg.destination, to);
 }
 
-function parseCsvFieldsAt(line, wanted) {
-  const str = String(line || '');
-  if (!str) return new Map();
-
-  let fieldIndex = 0;
-  let inQuotes = false;
-  let collect = wanted.set.has(0);
-  let field = collect ? '' : null;
-
-  const out = new Map();
-
-  for (let i = 0; i < str.length; i++) {
-    const ch = str[i];
-
-    if (inQuotes) {
-      if (ch === '"') {
-        if (str[i + 1] === '"') {
-          if (collect) field += '"';
-          i++;
-        } else {
-          inQuotes = false;
-        }
-      } else if (collect) {
-        field += ch;
-      }
-      continue;
-    }
-
-    if (ch === '"') {
-      inQuotes = true;
-      continue;
-    }
-
-    if (ch === ',') {
-      if (collect) out.set(fieldIndex, field);
-      if (fieldIndex >= wanted.max) return out;
-
-      fieldIndex++;
-      collect = wanted.set.has(fieldIndex);
-      field = collect ? '' : null;
-      continue;
-    }
-
-    if (collect) field += ch;
+// One entry per operated flight in an AeroDataBox FIDS departures board
+// (withLeg=true), in board order; the same flight seen in two time windows is
+// kept once.
+function extractDeparturesFromFidsResponse(data) {
+  const list = data && Array.isArray(data.departures) ? data.departures : [];
+  const flights = [];
+  const seen = new Set();
+
+  for (const flight of list) {
+    const flightNumber = normalizeFlightNumber(flight && flight.number);
+    const [leg] = extractFlightLegsFromFlightResponse([flight]);
+    const departureUtc = flightScheduledTime(flight && flight.departure, 'utc');
+    const key = `${flightNumber}|${departureUtc || leg.scheduledDeparture}`;
+    if (!flightNumber || seen.has(key)) continue;
+    seen.add(key);
+
+    const airline = (flight && flight.airline) || {};
+    flights.push({
+      flightNumber,
+      airline: String(airline.name || '').trim() || null,
+      ...leg,
+    });
   }
-
-  if (collect) out.set(fieldIndex, field);
-  return out;
+  return flights;
 }
 
 let cachedGcsStorage = null;
@@ -254,38 +339,71 @@ function normalizeGcsObjectName(value) {
   return raw.replace(/^\/+/, '');
 }
 
-function isProbablyMissingDataError(err) {
-  if (!err) return false;
-  if (err.code === 'ENOENT') return true;
-  if (err.code === 404 || err.statusCode === 404) return true;
-  if (String(err.message || '').toLowerCase().includes('no such object')) return true;
-  return false;
-}
+const cachedCsvColumns = new Map();
 
-function isIgnorableEarlyCloseError(err) {
-  if (!err) return false;
-  return (
-    err.code === 'ERR_STREAM_PREMATURE_CLOSE' ||
-    err.code === 'ECONNRESET' ||
-    String(err.message || '').toLowerCase().includes('premature close')
-  );
+async function csvColumnsForSource(label, source) {
+  const size =
+    typeof source.byteLength === 'function' ? await source.byteLength().catch(() => null) : null;
+  const key = `${label}:${source.id}:${size}`;
+  if (cachedCsvColumns.has(key)) return cachedCsvColumns.get(key);
+
+  const cols = resolveCsvColumns(await readCsvHeaderLine(source), FAA_FILE_COLUMNS[label], label);
+  cachedCsvColumns.set(key, cols);
+  return cols;
 }
 
-function coerceCsvSource(value, defaultPath) {
-  if (value && typeof value.createReadStream === 'function') return value;
-  if (typeof value === 'function') return { createReadStream: value, id: 'custom-stream' };
+function coerceIndexSource(value) {
+  if (!value) return null;
+  if (typeof value.readIndex === 'function') return value;
 
-  const csvPath = typeof value === 'string' ? value : defaultPath;
+  const indexPath = String(value);
   return {
-    id: csvPath,
-    createReadStream: () =>
-      fs.createReadStream(csvPath, {
-        encoding: 'utf8',
-        highWaterMark: CSV_READ_HIGH_WATER_MARK,
-      }),
+    id: indexPath,
+    version: async () => {
+      const stat = await fsp.stat(indexPath);
+      return `${stat.size}:${stat.mtimeMs}`;
+    },
+    readIndex: () => fsp.readFile(indexPath),
   };
 }
 
+const cachedIndexes = new Map();
+
+async function loadCsvKeyIndex(indexPathOrSource) {
+  const source = coerceIndexSource(indexPathOrSource);
+  if (!source) return null;
+
+  try {
+    const version = typeof source.version === 'function' ? await source.version() : source.id;
+    const cached = cachedIndexes.get(source.id);
+    if (cached && cached.version === version) return cached.index;
+
+    const index = parseCsvKeyIndex(await source.readIndex());
+    if (!index) {
+      console.warn(`Ignoring unreadable CSV index: ${source.id}`);
+      return null;
+    }
+
+    cachedIndexes.set(source.id, { version, index });
+    return index;
+  } catch (err) {
+    if (isProbablyMissingDataError(err)) return null;
+    throw err;
+  }
+}
+
+function readCsvRange(source, { offset, length }) {
+  return new Promise((resolve, reject) => {
+    const stream = source.createReadStream({ start: offset, end: offset + length - 1 });
+    let text = '';
+    stream.on('data', (chunk) => {
+      text += chunk;
+    });
+    stream.on('end', () => resolve(text));
+    stream.on('error', reject);
+  });
+}
+
 let cachedManifest = null;
 let cachedManifestAt = 0;
 
@@ -319,29 +437,106 @@ async function readGcsManifest() {
   const acftref = normalizeGcsObjectName(parsed && (parsed.acftref || parsed.acftRef));
   if (!master || !acftref) return null;
 
-  cachedManifest = { master, acftref };
+  const optionalObject = (key) => normalizeGcsObjectName(parsed && parsed[key]) || null;
+  cachedManifest = {
+    master,
+    acftref,
+    masterIndex: optionalObject('masterIndex'),
+    masterHexIndex: optionalObject('masterHexIndex'),
+    dereg: optionalObject('dereg'),
+    deregIndex: optionalObject('deregIndex'),
+    engine: optionalObject('engine'),
+    fleet: optionalObject('fleet'),
+    models: optionalObject('models'),
+  };
   cachedManifestAt = now;
   return cachedManifest;
 }
 
+function localFaaCsvSources() {
+  return {
+    master: coerceCsvSource(masterCsvPath, masterCsvPath),
+    acftRef: coerceCsvSource(acftRefCsvPath, acftRefCsvPath),
+    masterIndex: coerceIndexSource(masterIndexPath),
+    masterHexIndex: coerceIndexSource(masterHexIndexPath),
+    dereg: coerceCsvSource(deregCsvPath, deregCsvPath),
+    deregIndex: coerceIndexSource(deregIndexPath),
+    engine: coerceCsvSource(engineCsvPath, engineCsvPath),
+  };
+}
+
+// Snapshot entries have the manifest's shape; local ones hold paths relative
+// to the data directory (snapshots/<stamp>/master.csv, ...).
+function localSnapshotSources(entry) {
+  const resolve = (key) => (entry[key] ? path.resolve(localDataDir(), entry[key]) : null);
+  const csv = (key) => (resolve(key) ? coerceCsvSource(resolve(key), resolve(key)) : null);
+  const index = (key) => (resolve(key) ? coerceIndexSource(resolve(key)) : null);
+  return {
+    master: csv('master'),
+    acftRef: csv('acftref'),
+    masterIndex: index('masterIndex'),
+    masterHexIndex: index('masterHexIndex'),
+    dereg: csv('dereg'),
+    deregIndex: index('deregIndex'),
+    engine: csv('engine'),
+  };
+}
+
+function gcsFaaSources(
+  bucket,
+  {
+    master,
+    acftref,
+    masterIndex = null,
+    masterHexIndex = null,
+    dereg = null,
+    deregIndex = null,
+    engine = null,
+  }
+) {
+  const makeGcsSource = (objectName) => ({
+    id: `gs://${bucket.name}/${objectName}`,
+    createReadStream: (range) => {
+      const stream = bucket.file(objectName).createReadStream({
+        highWaterMark: CSV_READ_HIGH_WATER_MARK,
+        ...range,
+      });
+      stream.setEncoding('utf8');
+      return stream;
+    },
+  });
+
+  const makeGcsIndexSource = (objectName) => ({
+    id: `gs://${bucket.name}/${objectName}`,
+    readIndex: async () => (await bucket.file(objectName).download())[0],
+  });
+
+  return {
+    master: makeGcsSource(master),
+    acftRef: makeGcsSource(acftref),
+    masterIndex: masterIndex ? makeGcsIndexSource(masterIndex) : null,
+    masterHexIndex: masterHexIndex ? makeGcsIndexSource(masterHexIndex) : null,
+    dereg: dereg ? makeGcsSource(dereg) : null,
+    deregIndex: dereg && deregIndex ? makeGcsIndexSource(deregIndex) : null,
+    engine: engine ? makeGcsSource(engine) : null,
+  };
+}
+
+function faaDataBackend() {
+  const backend = FAA_DATA_BACKEND || (GCS_BUCKET ? 'gcs' : 'local');
+  return backend === 'gcs' && GCS_BUCKET ? 'gcs' : 'local';
+}
+
 async function defaultFaaCsvSources() {
   const backendRequested = FAA_DATA_BACKEND;
   const backend = backendRequested || (GCS_BUCKET ? 'gcs' : 'local');
-  if (backend !== 'gcs') {
-    return {
-      master: coerceCsvSource(masterCsvPath, masterCsvPath),
-      acftRef: coerceCsvSource(acftRefCsvPath, acftRefCsvPath),
-    };
-  }
+  if (backend !== 'gcs') return localFaaCsvSources();
 
   if (!GCS_BUCKET) {
     if (backendRequested === 'gcs') {
       throw new Error('GCS_BUCKET is required when FAA_DATA_BACKEND=gcs');
     }
-    return {
-      master: coerceCsvSource(masterCsvPath, masterCsvPath),
-      acftRef: coerceCsvSource(acftRefCsvPath, acftRefCsvPath),
-    };
+    return localFaaCsvSources();
   }
 
   const storage = getGcsStorage();
@@ -349,9 +544,10 @@ async function defaultFaaCsvSources() {
 
   let masterObject = normalizeGcsObjectName(GCS_MASTER_OBJECT);
   let acftRefObject = normalizeGcsObjectName(GCS_ACFTREF_OBJECT);
+  let manifest = null;
 
   if (!masterObject || !acftRefObject) {
-    const manifest = await readGcsManifest();
+    manifest = await readGcsManifest();
     masterObject = masterObject || (manifest && manifest.master);
     acftRefObject = acftRefObject || (manifest && manifest.acftref);
   }
@@ -362,29 +558,133 @@ async function defaultFaaCsvSources() {
         'GCS_MANIFEST_OBJECT (or both GCS_MASTER_OBJECT and GCS_ACFTREF_OBJECT) is required when FAA_DATA_BACKEND=gcs'
       );
     }
-    return {
-      master: coerceCsvSource(masterCsvPath, masterCsvPath),
-      acftRef: coerceCsvSource(acftRefCsvPath, acftRefCsvPath),
-    };
+    return localFaaCsvSources();
   }
 
-  const makeGcsSource = (objectName) => ({
-    id: `gs://${GCS_BUCKET}/${objectName}`,
-    createReadStream: () => {
-      const stream = bucket.file(objectName).createReadStream({
-        highWaterMark: CSV_READ_HIGH_WATER_MARK,
-      });
-      stream.setEncoding('utf8');
-      return stream;
-    },
+  const useManifestIndex = !GCS_MASTER_OBJECT && manifest && manifest.masterIndex;
+  return gcsFaaSources(bucket, {
+    master: masterObject,
+    acftref: acftRefObject,
+    masterIndex: useManifestIndex ? manifest.masterIndex : null,
+    masterHexIndex: useManifestIndex ? manifest.masterHexIndex : null,
+    dereg: manifest && manifest.dereg,
+    deregIndex: manifest && manifest.deregIndex,
+    engine: manifest && manifest.engine,
   });
+}
+
+let cachedHistory = null;
+let cachedHistoryKey = '';
+let cachedHistoryAt = 0;
+
+function normalizeSnapshotHistory(parsed, normalizeName) {
+  const list = parsed && Array.isArray(parsed.snapshots) ? parsed.snapshots : [];
+  const snapshots = [];
+  for (const entry of list) {
+    const updatedAt = String((entry && entry.updatedAt) || '').trim();
+    const master = normalizeName(entry && entry.master);
+    const acftref = normalizeName(entry && entry.acftref);
+    if (!/^\d{4}-\d{2}-\d{2}/.test(updatedAt) || !master || !acftref) continue;
+    snapshots.push({
+      updatedAt,
+      master,
+      acftref,
+      masterIndex: normalizeName(entry.masterIndex) || null,
+      masterHexIndex: normalizeName(entry.masterHexIndex) || null,
+      dereg: normalizeName(entry.dereg) || null,
+      deregIndex: normalizeName(entry.deregIndex) || null,
+      engine: normalizeName(entry.engine) || null,
+    });
+  }
+  return snapshots.sort((a, b) => a.updatedAt.localeCompare(b.updatedAt));
+}
+
+// Retained registry snapshots, oldest first. The refresh job writes the
+// history next to the manifest (GCS) or under data/snapshots (local).
+async function readSnapshotHistory() {
+  const backend = faaDataBackend();
+  const key =
+    backend === 'gcs'
+      ? `gs://${GCS_BUCKET}/${GCS_HISTORY_OBJECT}`
+      : path.join(localDataDir(), 'snapshots', 'history.json');
+
+  const now = Date.now();
+  if (cachedHistory && cachedHistoryKey === key && now - cachedHistoryAt < GCS_MANIFEST_CACHE_MS) {
+    return cachedHistory;
+  }
+
+  let buf;
+  try {
+    if (backend === 'gcs') {
+      const bucket = getGcsStorage().bucket(GCS_BUCKET);
+      [buf] = await bucket.file(normalizeGcsObjectName(GCS_HISTORY_OBJECT)).download();
+    } else {
+      buf = await fsp.readFile(key);
+    }
+  } catch (err) {
+    if (!isProbablyMissingDataError(err)) throw err;
+    buf = null;
+  }
+
+  let parsed = null;
+  try {
+    parsed = buf ? JSON.parse(String(buf)) : null;
+  } catch {
+    parsed = null;
+  }
+
+  const normalizeName = backend === 'gcs' ? normalizeGcsObjectName : (value) => String(value || '').trim();
+  cachedHistory = normalizeSnapshotHistory(parsed, normalizeName);
+  cachedHistoryKey = key;
+  cachedHistoryAt = now;
+  return cachedHistory;
+}
+
+// The snapshot in effect on asOf (YYYY-MM-DD): the newest one published on or
+// before that day. Dates before the oldest retained snapshot get the oldest,
+// flagged exact=false.
+function selectSnapshot(snapshots, asOf) {
+  if (!Array.isArray(snapshots) || !snapshots.length) return null;
+  const day = String(asOf || '').slice(0, 10);
+
+  let index = -1;
+  for (let i = 0; i < snapshots.length; i++) {
+    if (snapshots[i].updatedAt.slice(0, 10) <= day) index = i;
+  }
 
+  const exact = index >= 0;
+  if (!exact) index = 0;
   return {
-    master: makeGcsSource(masterObject),
-    acftRef: makeGcsSource(acftRefObject),
+    snapshot: snapshots[index],
+    current: index === snapshots.length - 1,
+    exact,
   };
 }
 
+async function faaCsvSourcesAsOf(asOf) {
+  const snapshots = asOf ? await readSnapshotHistory() : [];
+  const selected = selectSnapshot(snapshots, asOf);
+  if (!selected) return { sources: await defaultFaaCsvSources(), snapshot: null };
+
+  const snapshot = {
+    asOf,
+    updatedAt: selected.snapshot.updatedAt,
+    current: selected.current,
+    exact: selected.exact,
+  };
+  if (selected.current) return { sources: await defaultFaaCsvSources(), snapshot };
+
+  const sources =
+    faaDataBackend() === 'gcs'
+      ? gcsFaaSources(getGcsStorage().bucket(GCS_BUCKET), selected.snapshot)
+      : localSnapshotSources(selected.snapshot);
+  return { sources, snapshot };
+}
+
+function masterRecordFromLine(nNumber, line, cols) {
+  return { nNumber, ...recordFromCsvLine(line, cols, MASTER_RECORD_FIELDS) };
+}
+
 function findAircraftInMasterCsv(nNumber, csvPathOrSource = masterCsvPath) {
   return new Promise((resolve, reject) => {
     const needle = String(nNumber || '').trim().toUpperCase();
@@ -396,13 +696,7 @@ function findAircraftInMasterCsv(nNumber, csvPathOrSource = masterCsvPath) {
     const rl = readline.createInterface({ input: stream, crlfDelay: Infinity });
     let settled = false;
     let found = null;
-    let sawFirstLine = false;
-    const wanted = makeWantedCsvIndices([
-      MASTER_COLS.MFR_MDL_CODE,
-      MASTER_COLS.YEAR_MFR,
-      MASTER_COLS.KIT_MFR,
-      MASTER_COLS.KIT_MODEL,
-    ]);
+    let cols = null;
 
     function done(err) {
       if (settled) return;
@@ -415,28 +709,29 @@ function findAircraftInMasterCsv(nNumber, csvPathOrSource = masterCsvPath) {
       else resolve(found);
     }
 
+    function fail(err) {
+      done(err);
+      rl.close();
+      stream.destroy();
+    }
+
     rl.on('line', (line) => {
-      if (found) return;
+      if (found || settled) return;
       if (!line) return;
 
-      if (!sawFirstLine) {
-        sawFirstLine = true;
+      if (!cols) {
+        try {
+          cols = resolveCsvColumns(line, MASTER_COLUMNS, 'MASTER');
+        } catch (err) {
+          fail(err);
+        }
         return;
       }
 
-      const first = normalizeNNumberField(readFirstCsvField(line));
+      const first = normalizeNNumberField(readCsvKeyField(line, cols.N_NUMBER));
       if (first !== needle) return;
 
-      const fields = parseCsvFieldsAt(line, wanted);
-
-      found = {
-        nNumber: needle,
-        year: String(fields.get(MASTER_COLS.YEAR_MFR) || '').trim(),
-        mfrMdlCode: String(fields.get(MASTER_COLS.MFR_MDL_CODE) || '').trim(),
-        kitManufacturer:
-          String(fields.get(MASTER_COLS.KIT_MFR) || '').trim(),
-        kitModel: String(fields.get(MASTER_COLS.KIT_MODEL) || '').trim(),
-      };
+      found = masterRecordFromLine(needle, line, cols);
       rl.close();
       stream.destroy();
     });
@@ -447,54 +742,62 @@ function findAircraftInMasterCsv(nNumber, csvPathOrSource = masterCsvPath) {
   });
 }
 
-function findAircraftInAcftRef(mfrMdlCode, csvPathOrSource = acftRefCsvPath) {
+const referenceCode = (value) => String(value || '').trim().toUpperCase();
+
+// The first row of a reference file (ACFTREF, ENGINE) for each of `codes`, as
+// a Map keyed by CODE. The files are small and unsorted, so this is one scan
+// that stops once every code has been found.
+function findReferenceRows(codes, csvPathOrSource, { defaultPath, label, columns, fields }) {
   return new Promise((resolve, reject) => {
-    const needle = String(mfrMdlCode || '').trim().toUpperCase();
-    if (!needle) return resolve(null);
+    const wanted = new Set(codes.map(referenceCode).filter(Boolean));
+    const found = new Map();
+    if (!wanted.size) return resolve(found);
 
-    const source = coerceCsvSource(csvPathOrSource, acftRefCsvPath);
+    const source = coerceCsvSource(csvPathOrSource, defaultPath);
     const stream = source.createReadStream();
 
     const rl = readline.createInterface({ input: stream, crlfDelay: Infinity });
     let settled = false;
-    let found = null;
-    let sawFirstLine = false;
-    const wanted = makeWantedCsvIndices([ACFTREF_COLS.MFR, ACFTREF_COLS.MODEL, ACFTREF_COLS.TYPE_ACFT]);
+    let cols = null;
+    const complete = () => found.size === wanted.size;
 
     function done(err) {
       if (settled) return;
       settled = true;
       if (err) {
-        if (found && isIgnorableEarlyCloseError(err)) return resolve(found);
-        if (isProbablyMissingDataError(err)) return resolve(null);
+        if (complete() && isIgnorableEarlyCloseError(err)) return resolve(found);
+        if (isProbablyMissingDataError(err)) return resolve(new Map());
         reject(err);
       } else resolve(found);
     }
 
+    function fail(err) {
+      done(err);
+      rl.close();
+      stream.destroy();
+    }
+
     rl.on('line', (line) => {
-      if (found) return;
+      if (complete() || settled) return;
       if (!line) return;
 
-      if (!sawFirstLine) {
-        sawFirstLine = true;
+      if (!cols) {
+        try {
+          cols = resolveCsvColumns(line, columns, label);
+        } catch (err) {
+          fail(err);
+        }
         return;
       }
 
-      const first = normalizeNNumberField(readFirstCsvField(line));
-      if (first !== needle) return;
-
-      const fields = parseCsvFieldsAt(line, wanted);
-      const candidate = normalizeNNumberField(first);
-      if (candidate !== needle) return;
+      const code = normalizeNNumberField(readCsvKeyField(line, cols.CODE));
+      if (!wanted.has(code) || found.has(code)) return;
 
-      found = {
-        mfrMdlCode: needle,
-        manufacturer: String(fields.get(ACFTREF_COLS.MFR) || '').trim(),
-        model: String(fields.get(ACFTREF_COLS.MODEL) || '').trim(),
-        typeAcft: String(fields.get(ACFTREF_COLS.TYPE_ACFT) || '').trim(),
-      };
-      rl.close();
-      stream.destroy();
+      found.set(code, { code, ...recordFromCsvLine(line, cols, fields) });
+      if (complete()) {
+        rl.close();
+        stream.destroy();
+      }
     });
 
     rl.on('close', () => done());
@@ -503,129 +806,1223 @@ function findAircraftInAcftRef(mfrMdlCode, csvPathOrSource = acftRefCsvPath) {
   });
 }
 
-async function resolveAircraftSpecsByNNumber(
-  nNumber,
-  { masterPath = null, acftRefPath = null } = {}
-) {
-  const defaults = await defaultFaaCsvSources();
-  const masterSource = masterPath || defaults.master;
-  const acftRefSource = acftRefPath || defaults.acftRef;
+async function findAircraftRefsInAcftRef(mfrMdlCodes, csvPathOrSource = acftRefCsvPath) {
+  const rows = await findReferenceRows(mfrMdlCodes, csvPathOrSource, {
+    defaultPath: acftRefCsvPath,
+    label: 'ACFTREF',
+    columns: ACFTREF_COLUMNS,
+    fields: ACFTREF_RECORD_FIELDS,
+  });
+  return new Map([...rows].map(([key, { code, ...record }]) => [key, { mfrMdlCode: code, ...record }]));
+}
 
-  const aircraft = await findAircraftInMasterCsv(nNumber, masterSource);
-  if (!aircraft) return null;
+async function findEnginesInEngineRef(engMfrMdlCodes, csvPathOrSource = engineCsvPath) {
+  const rows = await findReferenceRows(engMfrMdlCodes, csvPathOrSource, {
+    defaultPath: engineCsvPath,
+    label: 'ENGINE',
+    columns: ENGINE_COLUMNS,
+    fields: ENGINE_RECORD_FIELDS,
+  });
+  return new Map([...rows].map(([key, { code, ...record }]) => [key, { engMfrMdlCode: code, ...record }]));
+}
 
-  let manufacturer = '';
-  let model = '';
-  let typeAcft = '';
+async function findAircraftInAcftRef(mfrMdlCode, csvPathOrSource = acftRefCsvPath) {
+  const refs = await findAircraftRefsInAcftRef([mfrMdlCode], csvPathOrSource);
+  return refs.get(referenceCode(mfrMdlCode)) || null;
+}
 
-  const hasCode = String(aircraft.mfrMdlCode || '').trim();
-  if (hasCode) {
-    const ref = await findAircraftInAcftRef(aircraft.mfrMdlCode, acftRefSource);
-    if (ref) {
-      manufacturer = String(ref.manufacturer || '').trim();
-      model = String(ref.model || '').trim();
-      typeAcft = String(ref.typeAcft || '').trim();
-    }
-  }
+async function findEngineInEngineRef(engMfrMdlCode, csvPathOrSource = engineCsvPath) {
+  const engines = await findEnginesInEngineRef([engMfrMdlCode], csvPathOrSource);
+  return engines.get(referenceCode(engMfrMdlCode)) || null;
+}
 
-  if (!manufacturer && !model) {
-    manufacturer = String(aircraft.kitManufacturer || '').trim();
-    model = String(aircraft.kitModel || '').trim();
+// Reads the lines for `needle` through a prebuilt index. Returns null when there
+// is no usable index (absent, or built for a different file) so the caller
+// falls back to a scan; a miss is just an empty list.
+async function readIndexedCsvLines(needle, { source, index: indexSource, label, keyColumn }) {
+  const index = await loadCsvKeyIndex(indexSource);
+  if (!index) return null;
+
+  const sourceBytes =
+    typeof source.byteLength === 'function' ? await source.byteLength().catch(() => null) : null;
+  if (sourceBytes !== null && sourceBytes !== index.sourceBytes) return null;
+
+  const hits = searchCsvKeyIndex(index, needle);
+  if (!hits.length) return { lines: [], cols: null };
+
+  const cols = await csvColumnsForSource(label, source);
+  const lines = [];
+  for (const hit of hits) {
+    const line = await readCsvRange(source, hit).catch((err) => {
+      if (isProbablyMissingDataError(err)) return '';
+      throw err;
+    });
+    if (normalizeNNumberField(readCsvKeyField(line, cols[keyColumn])) !== needle) return null;
+    lines.push(line);
   }
-
-  const aircraftType = [manufacturer, model].filter(Boolean).join(' ') || '';
-
-  return {
-    ...aircraft,
-    manufacturer,
-    model,
-    aircraftType: aircraftType || null,
-    typeAcft: typeAcft || null,
-  };
+  return { lines, cols };
 }
 
-async function fetchTailNumber({
-  flightNumber,
-  date,
-  apiKey = RAPIDAPI_KEY,
-  fetchImpl = globalThis.fetch,
-  timeoutMs = RAPIDAPI_TIMEOUT_MS,
-} = {}) {
-  if (!apiKey) return { ok: false, registration: null, status: null, error: 'missing_key' };
-  if (typeof fetchImpl !== 'function') {
-    return { ok: false, registration: null, status: null, error: 'missing_fetch' };
-  }
+// Uses the prebuilt index when one is available (a miss is then just a binary
+// search), and falls back to the streaming scan when it is absent or stale.
+async function findAircraftByNNumber(nNumber, { master = masterCsvPath, masterIndex = null } = {}) {
+  const needle = String(nNumber || '').trim().toUpperCase();
+  if (!needle) return null;
+
+  const source = coerceCsvSource(master, masterCsvPath);
+  const indexed = await readIndexedCsvLines(needle, {
+    source,
+    index: masterIndex,
+    label: 'MASTER',
+    keyColumn: 'N_NUMBER',
+  });
 
-  const url = `https://${RAPIDAPI_HOST}/flights/number/${encodeURIComponent(
-    flightNumber
-  )}/${encodeURIComponent(date)}`;
+  if (indexed) {
+    const [line] = indexed.lines;
+    return line ? masterRecordFromLine(needle, line, indexed.cols) : null;
+  }
 
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+  if (masterIndex && PLANEAGE_DEBUG) console.warn(`No usable master index, scanning: ${source.id}`);
+  return findAircraftInMasterCsv(needle, source);
+}
 
-  let response;
-  try {
-    response = await fetchImpl(url, {
-      signal: controller.signal,
-      headers: {
-        'X-RapidAPI-Key': apiKey,
-        'X-RapidAPI-Host': RAPIDAPI_HOST,
-        Accept: 'application/json',
-      },
-    });
-  } catch (err) {
-    return {
-      ok: false,
-      registration: null,
-      status: null,
-      error: err && err.name === 'AbortError' ? 'timeout' : 'fetch_failed',
-      detail: err && err.message ? String(err.message) : String(err),
-    };
-  } finally {
-    clearTimeout(timeoutId);
-  }
+function normalizeModeSHex(value) {
+  const hex = String(value || '').trim().toUpperCase();
+  return /^[0-9A-F]{6}$/.test(hex) ? hex : null;
+}
 
-  if (!response.ok) {
-    let body = '';
-    try {
-      body = await response.text();
-    } catch {}
-    return {
-      ok: false,
-      registration: null,
-      status: response.status,
-      error: 'http_error',
-      detail: String(body || '').slice(0, 600),
-    };
+// Maps ICAO24 hex codes to N-numbers through the Mode S hex index, with one
+// shared MASTER scan for whatever the index could not answer. Rows without a
+// hex column value fall back to their octal MODE S CODE.
+async function findNNumbersByModeSHex(hexes, { master = masterCsvPath, masterHexIndex = null } = {}) {
+  const found = new Map();
+  const wanted = new Set(hexes.map(normalizeModeSHex).filter(Boolean));
+  if (!wanted.size) return found;
+
+  const source = coerceCsvSource(master, masterCsvPath);
+  const unindexed = new Set();
+  for (const hex of wanted) {
+    const indexed = masterHexIndex
+      ? await readIndexedCsvLines(hex, {
+          source,
+          index: masterHexIndex,
+          label: 'MASTER',
+          keyColumn: 'MODE_S_CODE_HEX',
+        })
+      : null;
+    if (!indexed) unindexed.add(hex);
+    else if (indexed.lines.length) {
+      found.set(hex, normalizeNNumberField(readCsvKeyField(indexed.lines[0], indexed.cols.N_NUMBER)));
+    }
   }
+  if (!unindexed.size) return found;
 
-  let data;
+  if (masterHexIndex && PLANEAGE_DEBUG) console.warn(`No usable Mode S index, scanning: ${source.id}`);
+  const fields = { nNumber: 'N_NUMBER', modeSCode: 'MODE_S_CODE', modeSCodeHex: 'MODE_S_CODE_HEX' };
   try {
-    data = await response.json();
+    await scanCsvRecords(source, 'MASTER', fields, (record) => {
+      const hex = normalizeModeSHex(record.modeSCodeHex) || modeSHexFromOctal(record.modeSCode);
+      if (hex && unindexed.has(hex) && !found.has(hex)) found.set(hex, normalizeNNumberField(record.nNumber));
+    });
   } catch (err) {
-    return {
-      ok: false,
-      registration: null,
-      status: response.status,
-      error: 'invalid_json',
-      detail: err && err.message ? String(err.message) : String(err),
-    };
+    if (!isProbablyMissingDataError(err)) throw err;
   }
-  const registration = extractRegistrationFromFlightResponse(data);
-  return { ok: true, registration: registration || null, status: response.status };
-}
-
-if (TRUST_PROXY) {
-  app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY);
+  return found;
 }
 
-app.use(express.json({ limit: '10kb' }));
-app.disable('x-powered-by');
+function findDeregisteredInCsv(nNumber, csvPathOrSource = deregCsvPath) {
+  return new Promise((resolve, reject) => {
+    const needle = String(nNumber || '').trim().toUpperCase();
+    if (!needle) return resolve([]);
 
-app.use((req, res, next) => {
-  res.locals.cspNonce = crypto.randomBytes(16).toString('base64');
-  next();
-});
+    const source = coerceCsvSource(csvPathOrSource, deregCsvPath);
+    const stream = source.createReadStream();
+
+    const rl = readline.createInterface({ input: stream, crlfDelay: Infinity });
+    let settled = false;
+    let cols = null;
+    const found = [];
+
+    function done(err) {
+      if (settled) return;
+      settled = true;
+      if (err) {
+        if (isProbablyMissingDataError(err)) return resolve([]);
+        reject(err);
+      } else resolve(found);
+    }
+
+    rl.on('line', (line) => {
+      if (settled || !line) return;
+
+      if (!cols) {
+        try {
+          cols = resolveCsvColumns(line, DEREG_COLUMNS, 'DEREG');
+        } catch (err) {
+          done(err);
+          rl.close();
+          stream.destroy();
+        }
+        return;
+      }
+
+      const first = normalizeNNumberField(readCsvKeyField(line, cols.N_NUMBER));
+      if (first !== needle) return;
+      found.push({ nNumber: needle, ...recordFromCsvLine(line, cols, DEREG_RECORD_FIELDS) });
+    });
+
+    rl.on('close', () => done());
+    rl.on('error', done);
+    stream.on('error', done);
+  });
+}
+
+// DEREG keeps every past cancellation of an N-number; the latest one describes
+// the airframe that most recently carried it.
+async function findDeregisteredAircraft(nNumber, { dereg = deregCsvPath, deregIndex = null } = {}) {
+  const needle = String(nNumber || '').trim().toUpperCase();
+  if (!needle || !dereg) return null;
+
+  const source = coerceCsvSource(dereg, deregCsvPath);
+  const indexed = await readIndexedCsvLines(needle, {
+    source,
+    index: deregIndex,
+    label: 'DEREG',
+    keyColumn: 'N_NUMBER',
+  });
+
+  const records = indexed
+    ? indexed.lines.map((line) => ({
+        nNumber: needle,
+        ...recordFromCsvLine(line, indexed.cols, DEREG_RECORD_FIELDS),
+      }))
+    : await findDeregisteredInCsv(needle, source);
+
+  let latest = null;
+  for (const r of records) {
+    if (!latest || String(r.cancelDate) > String(latest.cancelDate)) latest = r;
+  }
+  return latest;
+}
+
+// Registry lookups in one batch run this many at a time, so a batch request
+// can't open a file stream (or GCS read) per code all at once.
+const REGISTRY_LOOKUP_CONCURRENCY = 4;
+
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+// MASTER's record for an N-number, or the latest DEREG cancellation of it.
+async function findRegistryRecord(nNumber, { master, masterIndex, dereg, deregIndex }) {
+  const aircraft = await findAircraftByNNumber(nNumber, { master, masterIndex });
+  if (aircraft || !dereg) return aircraft;
+
+  const cancelled = await findDeregisteredAircraft(nNumber, { dereg, deregIndex });
+  if (!cancelled) return null;
+  return {
+    ...cancelled,
+    deregistered: {
+      cancelDate: formatFaaDate(cancelled.cancelDate),
+      // DEREG's STATUS-CODE is a cancellation code, not one of the MASTER statuses.
+      reason: String(cancelled.statusCode || '').trim().toUpperCase() || null,
+      exportCountry: String(cancelled.exportCountry || '').trim() || null,
+    },
+  };
+}
+
+function aircraftSpecs(aircraft, ref, engine, snapshot) {
+  let manufacturer = ref ? ref.manufacturer : '';
+  let model = ref ? ref.model : '';
+
+  if (!manufacturer && !model) {
+    manufacturer = String(aircraft.kitManufacturer || '').trim();
+    model = String(aircraft.kitModel || '').trim();
+  }
+
+  const aircraftType = [manufacturer, model].filter(Boolean).join(' ') || '';
+
+  const normalized = normalizeAircraftModel(manufacturer, model);
+  return {
+    ...aircraft,
+    manufacturer,
+    model,
+    aircraftType: aircraftType || null,
+    aircraftName: (normalized && normalized.name) || null,
+    family: (normalized && normalized.family) || null,
+    variant: (normalized && normalized.variant) || null,
+    typeAcft: (ref && ref.typeAcft) || null,
+    typeEngine: aircraft.typeEngine || (ref && ref.typeEngine) || '',
+    aircraftCategory: (ref && ref.aircraftCategory) || null,
+    engineCount: (ref && ref.engineCount) || null,
+    seatCount: (ref && ref.seatCount) || null,
+    weightClass: (ref && ref.weightClass) || null,
+    engineRef: engine || null,
+    registrySnapshot: snapshot,
+  };
+}
+
+// Explicit file paths (tests, scripts) only use the companion files passed
+// alongside them; the configured defaults apply when no MASTER is given.
+// Returns a Map from each N-number as given to its specs (null when not in
+// the registry); ACFTREF and ENGINE are scanned once for the whole batch.
+async function resolveAircraftSpecsByNNumbers(
+  nNumbers,
+  {
+    masterPath = null,
+    acftRefPath = null,
+    masterIndexPath = null,
+    deregPath = null,
+    deregIndexPath = null,
+    enginePath = null,
+    asOf = null,
+  } = {}
+) {
+  const { sources: defaults, snapshot } = await faaCsvSourcesAsOf(masterPath ? null : asOf);
+  const acftRefSource = acftRefPath || defaults.acftRef;
+  const engineSource = masterPath ? enginePath : enginePath || defaults.engine;
+  const registry = {
+    master: masterPath || defaults.master,
+    masterIndex: masterPath ? masterIndexPath : masterIndexPath || defaults.masterIndex,
+    dereg: masterPath ? deregPath : deregPath || defaults.dereg,
+    deregIndex: masterPath ? deregIndexPath : deregIndexPath || defaults.deregIndex,
+  };
+
+  const unique = [...new Set(nNumbers)];
+  const records = await mapWithConcurrency(unique, REGISTRY_LOOKUP_CONCURRENCY, (nNumber) =>
+    findRegistryRecord(nNumber, registry)
+  );
+  const found = records.filter(Boolean);
+
+  const refs = await findAircraftRefsInAcftRef(
+    found.map((aircraft) => aircraft.mfrMdlCode),
+    acftRefSource
+  );
+  const engines = engineSource
+    ? await findEnginesInEngineRef(
+        found.map((aircraft) => aircraft.engMfrMdlCode),
+        engineSource
+      )
+    : new Map();
+
+  return new Map(
+    unique.map((nNumber, i) => {
+      const aircraft = records[i];
+      if (!aircraft) return [nNumber, null];
+      const ref = refs.get(referenceCode(aircraft.mfrMdlCode));
+      const engine = engines.get(referenceCode(aircraft.engMfrMdlCode));
+      return [nNumber, aircraftSpecs(aircraft, ref, engine, snapshot)];
+    })
+  );
+}
+
+async function resolveAircraftSpecsByNNumber(nNumber, options) {
+  return (await resolveAircraftSpecsByNNumbers([nNumber], options)).get(nNumber);
+}
+
+// Reads a JSON summary written by the refresh job: `localPath` locally, or
+// the manifest's `manifestKey` object in GCS. Null until a refresh has built
+// one, or when it does not pass `isValid`.
+function createRefreshSummaryReader({ localPath, manifestKey, isValid }) {
+  let cached = null;
+  let cachedKey = '';
+  let cachedAt = 0;
+
+  return async function readRefreshSummary() {
+    const now = Date.now();
+    if (cached && now - cachedAt < GCS_MANIFEST_CACHE_MS) return cached;
+
+    let key;
+    let read;
+    if (faaDataBackend() === 'gcs') {
+      const manifest = await readGcsManifest();
+      const objectName = manifest && manifest[manifestKey];
+      if (!objectName) return null;
+      key = `gs://${GCS_BUCKET}/${objectName}`;
+      read = async () => (await getGcsStorage().bucket(GCS_BUCKET).file(objectName).download())[0];
+    } else {
+      const stat = await fsp.stat(localPath).catch(() => null);
+      if (!stat) return null;
+      key = `${localPath}:${stat.size}:${stat.mtimeMs}`;
+      read = () => fsp.readFile(localPath);
+    }
+
+    if (cached && cachedKey === key) {
+      cachedAt = now;
+      return cached;
+    }
+
+    let buf;
+    try {
+      buf = await read();
+    } catch (err) {
+      if (isProbablyMissingDataError(err)) return null;
+      throw err;
+    }
+
+    let parsed = null;
+    try {
+      parsed = JSON.parse(String(buf));
+    } catch {
+      parsed = null;
+    }
+    if (!parsed || !isValid(parsed)) return null;
+
+    cached = parsed;
+    cachedKey = key;
+    cachedAt = now;
+    return cached;
+  };
+}
+
+const readFleetSummary = createRefreshSummaryReader({
+  localPath: fleetSummaryPath,
+  manifestKey: 'fleet',
+  isValid: (summary) => Array.isArray(summary.operators),
+});
+
+const readModelSummary = createRefreshSummaryReader({
+  localPath: modelSummaryPath,
+  manifestKey: 'models',
+  isValid: (summary) => !!summary.models && !!summary.families,
+});
+
+// Resolves `/fleet/:operator` input to one registrant: an exact slug, else
+// the registrants whose slug starts with it (or with the airline table's name
+// for it, so "DL" and "delta" find "DELTA AIR LINES INC"). Ambiguous input
+// returns the candidates, largest fleets first.
+function findFleetOperator(summary, query) {
+  const operators = (summary && summary.operators) || [];
+  const slug = fleetSlug(query);
+  if (!slug) return { operator: null, candidates: [] };
+
+  const exact = operators.find((o) => o.slug === slug);
+  if (exact) return { operator: exact, candidates: [] };
+
+  const airline = loadAirlines().byKey.get(airlineNameKey(query));
+  const prefixes = [slug, airline && fleetSlug(airline.name)].filter(Boolean);
+  const candidates = operators
+    .filter((o) => prefixes.some((prefix) => o.slug.startsWith(`${prefix}-`)))
+    .sort((a, b) => b.count - a.count);
+  return candidates.length === 1
+    ? { operator: candidates[0], candidates: [] }
+    : { operator: null, candidates };
+}
+
+// Share of a group younger than `age`, counting half of its own one-year
+// histogram bucket: 95 means older than 95% of the group.
+function histogramAgePercentile(histogram, age) {
+  if (!Number.isFinite(age)) return null;
+  const bucket = Math.floor(age);
+  let below = 0;
+  let same = 0;
+  let total = 0;
+  for (const { age: from, count } of histogram || []) {
+    total += count;
+    if (from < bucket) below += count;
+    else if (from === bucket) same += count;
+  }
+  return total ? Math.round(((below + same / 2) / total) * 100) : null;
+}
+
+function fleetAgePercentile(operator, age) {
+  return operator ? histogramAgePercentile(operator.histogram, age) : null;
+}
+
+// Where the aircraft's age falls among every registered aircraft of its
+// ACFTREF model and model family, from the refresh job's models.json. Ages
+// are compared as of the summary date so both sides use the same clock.
+async function resolveTypeAgeRank(aircraft) {
+  const code = String((aircraft && aircraft.mfrMdlCode) || '').trim().toUpperCase();
+  const summary = code ? await readModelSummary() : null;
+  const model = summary && summary.models[code];
+  if (!model) return null;
+
+  const ageDetail = computeAircraftAge(aircraft, summary.asOf);
+  const age = ageDetail ? ageDetail.decimal : null;
+  const family = summary.families[model.family];
+  const rank = (group) => ({
+    count: group.count,
+    medianAge: group.medianAge,
+    percentile: histogramAgePercentile(group.histogram, age),
+  });
+
+  return {
+    asOf: summary.asOf,
+    model: { code, name: model.name, ...rank(model) },
+    family: family ? { name: model.family, ...rank(family) } : null,
+  };
+}
+
+// FAA code tables (ardata.pdf), used to label the registry details.
+const REGISTRANT_TYPE_LABELS = {
+  1: 'Individual',
+  2: 'Partnership',
+  3: 'Corporation',
+  4: 'Co-Owned',
+  5: 'Government',
+  7: 'LLC',
+  8: 'Non-Citizen Corporation',
+  9: 'Non-Citizen Co-Owned',
+};
+
+const AIRCRAFT_TYPE_LABELS = {
+  1: 'Glider',
+  2: 'Balloon',
+  3: 'Blimp/Dirigible',
+  4: 'Fixed wing single engine',
+  5: 'Fixed wing multi engine',
+  6: 'Rotorcraft',
+  7: 'Weight-shift-control',
+  8: 'Powered parachute',
+  9: 'Gyroplane',
+  H: 'Hybrid lift',
+  O: 'Other',
+};
+
+const ENGINE_TYPE_LABELS = {
+  0: 'None',
+  1: 'Reciprocating',
+  2: 'Turbo-prop',
+  3: 'Turbo-shaft',
+  4: 'Turbo-jet',
+  5: 'Turbo-fan',
+  6: 'Ramjet',
+  7: '2 Cycle',
+  8: '4 Cycle',
+  9: 'Unknown',
+  10: 'Electric',
+  11: 'Rotary',
+};
+
+const AIRCRAFT_CATEGORY_LABELS = {
+  1: 'Land',
+  2: 'Sea',
+  3: 'Amphibian',
+};
+
+const WEIGHT_CLASS_LABELS = {
+  'CLASS 1': 'Up to 12,499 lb',
+  'CLASS 2': '12,500 - 19,999 lb',
+  'CLASS 3': '20,000 lb and over',
+  'CLASS 4': 'UAV up to 55 lb',
+};
+
+const STATUS_CODE_LABELS = {
+  A: 'Triennial registration form mailed, not returned',
+  D: 'Expired dealer',
+  E: 'Revoked by enforcement action',
+  M: 'Registered to manufacturer under dealer certificate',
+  N: 'Non-citizen corporation, flight hour report not returned',
+  R: 'Registration pending',
+  S: 'Second triennial registration form mailed, not returned',
+  T: 'Valid registration from a trainee',
+  V: 'Valid registration',
+  W: 'Registration deemed ineffective or invalid',
+  X: 'Enforcement letter',
+  Z: 'Permanent reserved',
+  1: 'Triennial registration form returned undeliverable',
+  2: 'N-Number assigned, not yet registered',
+  3: 'N-Number assigned as non type certificated, not yet registered',
+  4: 'N-Number assigned as import, not yet registered',
+  5: 'Reserved N-Number',
+  6: 'Administratively canceled',
+  7: 'Sale reported',
+  8: 'Second attempt to notify registrant',
+  9: 'Registration revoked',
+  10: 'N-Number assigned, not registered, pending cancellation',
+  11: 'N-Number assigned as non type certificated, pending cancellation',
+  12: 'N-Number assigned as import, pending cancellation',
+  13: 'Registration expired',
+  14: 'First notice for re-registration/renewal',
+  15: 'Second notice for re-registration/renewal',
+  16: 'Registration expired, pending cancellation',
+  17: 'Sale reported, pending cancellation',
+  18: 'Sale reported, canceled',
+  19: 'Registration pending, pending cancellation',
+  20: 'Registration pending, canceled',
+  21: 'Revoked, pending cancellation',
+  22: 'Revoked, canceled',
+  23: 'Expired dealer, pending cancellation',
+  24: 'Third notice for re-registration/renewal',
+  25: 'First notice for registration renewal',
+  26: 'Second notice for registration renewal',
+  27: 'Registration expired',
+  28: 'Third notice for registration renewal',
+  29: 'Registration expired, pending cancellation',
+};
+
+function codeWithLabel(code, labels) {
+  const raw = String(code || '').trim().toUpperCase();
+  if (!raw) return null;
+  return { code: raw, label: labels[raw] || null };
+}
+
+function modeSHexFromOctal(value) {
+  const raw = String(value || '').trim();
+  if (!/^[0-7]{1,8}$/.test(raw)) return null;
+  return parseInt(raw, 8).toString(16).toUpperCase().padStart(6, '0');
+}
+
+function countOrNull(value) {
+  const n = Number(String(value || '').trim());
+  return String(value || '').trim() && Number.isFinite(n) ? n : null;
+}
+
+// ENGINE.txt fills HORSEPOWER or THRUST (lbf) depending on the engine type
+// and leaves the other at 0.
+function ratingOrNull(value) {
+  const n = countOrNull(value);
+  return n ? n : null;
+}
+
+function buildAircraftDetails(specs, registration) {
+  const engineRef = specs.engineRef || null;
+  const modeSOctal = String(specs.modeSCode || '').trim() || null;
+  const modeSHex = String(specs.modeSCodeHex || '').trim().toUpperCase() || modeSHexFromOctal(modeSOctal);
+
+  return {
+    registration: registration || (specs.nNumber ? `N${specs.nNumber}` : null),
+    nNumber: specs.nNumber || null,
+    serialNumber: specs.serialNumber || null,
+    manufacturer: specs.manufacturer || null,
+    model: specs.model || null,
+    year: specs.year || null,
+    type: codeWithLabel(specs.typeAircraft || specs.typeAcft, AIRCRAFT_TYPE_LABELS),
+    category: codeWithLabel(specs.aircraftCategory, AIRCRAFT_CATEGORY_LABELS),
+    weightClass: codeWithLabel(specs.weightClass, WEIGHT_CLASS_LABELS),
+    seats: countOrNull(specs.seatCount),
+    engine: {
+      code: specs.engMfrMdlCode || null,
+      type: codeWithLabel(specs.typeEngine || (engineRef && engineRef.type), ENGINE_TYPE_LABELS),
+      count: countOrNull(specs.engineCount),
+      manufacturer: (engineRef && engineRef.manufacturer) || null,
+      model: (engineRef && engineRef.model) || null,
+      horsepower: engineRef ? ratingOrNull(engineRef.horsepower) : null,
+      thrustLbf: engineRef ? ratingOrNull(engineRef.thrust) : null,
+    },
+    registrantType: codeWithLabel(specs.registrantType, REGISTRANT_TYPE_LABELS),
+    status: codeWithLabel(specs.statusCode, STATUS_CODE_LABELS),
+    certification: {
+      classification: specs.certification || null,
+      issueDate: formatFaaDate(specs.certIssueDate),
+      airworthinessDate: formatFaaDate(specs.airWorthDate),
+      expirationDate: formatFaaDate(specs.expirationDate),
+      lastActionDate: formatFaaDate(specs.lastActionDate),
+    },
+    modeS: { octal: modeSOctal, hex: modeSHex || null },
+    deregistered: specs.deregistered || null,
+  };
+}
+
+// Flight-data providers map a flight number + date to registration
+// candidates. lookup() resolves to
+// { ok, registration, registrations, legs?, status, error?, detail?,
+// retryAfterMs? }, with the error codes below; it never throws.
+function createAeroDataBoxProvider({
+  name = 'aerodatabox',
+  apiKey = RAPIDAPI_KEY,
+  host = RAPIDAPI_HOST,
+  fetchImpl = globalThis.fetch,
+  timeoutMs = RAPIDAPI_TIMEOUT_MS,
+} = {}) {
+  // Resolves to { data, status } or to the failure fields for a lookup result.
+  async function request(pathname, callTimeoutMs) {
+    if (!apiKey) return { error: 'missing_key', status: null };
+    if (typeof fetchImpl !== 'function') return { error: 'missing_fetch', status: null };
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), Math.max(1, Math.min(timeoutMs, callTimeoutMs)));
+
+    let response;
+    try {
+      response = await fetchImpl(`https://${host}${pathname}`, {
+        signal: controller.signal,
+        headers: {
+          'X-RapidAPI-Key': apiKey,
+          'X-RapidAPI-Host': host,
+          Accept: 'application/json',
+        },
+      });
+    } catch (err) {
+      return {
+        status: null,
+        error: err && err.name === 'AbortError' ? 'timeout' : 'fetch_failed',
+        detail: err && err.message ? String(err.message) : String(err),
+      };
+    } finally {
+      clearTimeout(timeoutId);
+    }
+
+    if (!response.ok) {
+      let body = '';
+      try {
+        body = await response.text();
+      } catch {}
+      const retryAfter = response.headers && response.headers.get ? response.headers.get('retry-after') : null;
+      return {
+        status: response.status,
+        error: 'http_error',
+        detail: String(body || '').slice(0, 600),
+        retryAfterMs: parseRetryAfterMs(retryAfter),
+      };
+    }
+
+    try {
+      return { data: await response.json(), status: response.status };
+    } catch (err) {
+      return {
+        status: response.status,
+        error: 'invalid_json',
+        detail: err && err.message ? String(err.message) : String(err),
+      };
+    }
+  }
+
+  async function lookup({ flightNumber, date, timeoutMs: callTimeoutMs = timeoutMs }) {
+    const { data, ...res } = await request(
+      `/flights/number/${encodeURIComponent(flightNumber)}/${encodeURIComponent(date)}`,
+      callTimeoutMs
+    );
+    if (res.error) return { ok: false, registration: null, registrations: [], ...res };
+
+    return {
+      ok: true,
+      registration: extractRegistrationFromFlightResponse(data),
+      registrations: extractRegistrationsFromFlightResponse(data),
+      legs: extractFlightLegsFromFlightResponse(data),
+      status: res.status,
+    };
+  }
+
+  // The FIDS endpoint serves at most 12 hours per call, so a day is fetched as
+  // two local-time windows and the departures merged.
+  const FIDS_QUERY = [
+    'direction=Departure',
+    'withLeg=true',
+    'withCodeshared=false',
+    'withCancelled=false',
+    'withCargo=false',
+    'withPrivate=false',
+  ].join('&');
+
+  async function departures({ airport, date, timeoutMs: callTimeoutMs = timeoutMs }) {
+    const startedAt = Date.now();
+    const codeType = airport.length === 4 ? 'icao' : 'iata';
+    const list = [];
+    let status = null;
+
+    for (const [from, to] of [
+      ['00:00', '11:59'],
+      ['12:00', '23:59'],
+    ]) {
+      const window = `${date}T${from}/${date}T${to}`;
+      const { data, ...res } = await request(
+        `/flights/airports/${codeType}/${encodeURIComponent(airport)}/${window}?${FIDS_QUERY}`,
+        callTimeoutMs - (Date.now() - startedAt)
+      );
+      if (res.error) return { ok: false, flights: [], ...res };
+      if (data && Array.isArray(data.departures)) list.push(...data.departures);
+      status = res.status;
+    }
+
+    return { ok: true, flights: extractDeparturesFromFidsResponse({ departures: list }), status };
+  }
+
+  return { name, configured: !!apiKey, lookup, departures };
+}
+
+const flightFixtureCache = new Map();
+
+// A flight fixture file is a JSON array or NDJSON of entries keyed by
+// flightNumber + date, each standing in for one AeroDataBox call:
+//   { "flightNumber": "DL47", "date": "2025-01-02", "body": [...] }
+//   { ..., "status": 429, "body": "Too many requests" }
+//   { ..., "error": "timeout" }              (or "fetch_failed")
+// `status` defaults to 200 and `body` to an empty array; `retryAfter`
+// (seconds) is sent as a Retry-After header. Entries with an `airport`
+// instead of a flightNumber answer that airport's departure board calls:
+//   { "airport": "JFK", "date": "2025-01-02", "body": { "departures": [...] } }
+function loadFlightFixtures(filePath) {
+  if (flightFixtureCache.has(filePath)) return flightFixtureCache.get(filePath);
+
+  let text = '';
+  try {
+    text = fs.readFileSync(filePath, 'utf8');
+  } catch (err) {
+    if (!err || err.code !== 'ENOENT') throw err;
+  }
+
+  const parse = (json, where) => {
+    try {
+      return JSON.parse(json);
+    } catch (err) {
+      throw new Error(`${filePath}${where}: invalid JSON (${err.message})`);
+    }
+  };
+
+  const trimmed = text.trim();
+  const entries = trimmed.startsWith('[')
+    ? parse(trimmed, '')
+    : trimmed
+        .split(/\r?\n/)
+        .map((line, i) => (line.trim() ? parse(line, ` line ${i + 1}`) : null))
+        .filter(Boolean);
+
+  const fixtures = new Map();
+  for (const entry of entries) {
+    const flightNumber = normalizeFlightNumber(entry && entry.flightNumber);
+    const airport = normalizeAirportCode(entry && entry.airport);
+    const date = normalizeDate(entry && entry.date);
+    if (!(flightNumber || airport) || !date) {
+      throw new Error(
+        `${filePath}: every flight fixture needs a flightNumber or airport and a YYYY-MM-DD date`
+      );
+    }
+    fixtures.set(flightNumber ? `${flightNumber}|${date}` : `airport:${airport}|${date}`, entry);
+  }
+
+  flightFixtureCache.set(filePath, fixtures);
+  return fixtures;
+}
+
+function findFlightFixture(filePath, flightNumber, date) {
+  return loadFlightFixtures(filePath).get(`${normalizeFlightNumber(flightNumber)}|${date}`) || null;
+}
+
+function findAirportFixture(filePath, airport, date) {
+  return loadFlightFixtures(filePath).get(`airport:${normalizeAirportCode(airport)}|${date}`) || null;
+}
+
+// Serves AeroDataBox's own requests from the fixture file, so fixtures go
+// through the live response handling.
+function createFixtureFlightProvider({ name = 'fixture', file = FLIGHT_FIXTURE_FILE } = {}) {
+  const fetchImpl = async (url) => {
+    const parts = new URL(url).pathname.split('/').map(decodeURIComponent);
+    const board = parts[2] === 'airports';
+    const key = board ? parts[4] : parts[3];
+    const date = board ? parts[5].slice(0, 10) : parts[4];
+    const entry = board ? findAirportFixture(file, key, date) : findFlightFixture(file, key, date);
+
+    if (!entry) return fixtureResponse(404, `No fixture for ${key} on ${date}`);
+    if (entry.error === 'timeout') {
+      const err = new Error('Fixture timeout');
+      err.name = 'AbortError';
+      throw err;
+    }
+    if (entry.error === 'fetch_failed') throw new Error('Fixture network failure');
+    const body = entry.body === undefined ? [] : entry.body;
+    return fixtureResponse(entry.status || 200, body, { 'retry-after': entry.retryAfter });
+  };
+
+  return createAeroDataBoxProvider({ name, apiKey: 'fixture', fetchImpl });
+}
+
+function fixtureResponse(status, body, headers = {}) {
+  const text = typeof body === 'string' ? body : JSON.stringify(body);
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    headers: {
+      get: (name) => {
+        const value = headers[String(name).toLowerCase()];
+        return value === undefined || value === null ? null : String(value);
+      },
+    },
+    text: async () => text,
+    json: async () => JSON.parse(text),
+  };
+}
+
+async function fetchTailNumber({
+  flightNumber,
+  date,
+  apiKey = RAPIDAPI_KEY,
+  fetchImpl = globalThis.fetch,
+  timeoutMs = RAPIDAPI_TIMEOUT_MS,
+} = {}) {
+  const provider = createAeroDataBoxProvider({ apiKey, fetchImpl, timeoutMs });
+  return provider.lookup({ flightNumber, date });
+}
+
+function parseRetryAfterMs(value, nowMs = Date.now()) {
+  const raw = String(value || '').trim();
+  if (!raw) return null;
+  if (/^\d+$/.test(raw)) return Number(raw) * 1000;
+  const at = Date.parse(raw);
+  return Number.isFinite(at) ? Math.max(0, at - nowMs) : null;
+}
+
+// Upstream trouble worth retrying (and counting against the breaker), as
+// opposed to answers like 404 or invalid JSON that a retry won't change.
+function isTransientLookupError(result) {
+  if (!result || result.ok) return false;
+  if (result.error === 'timeout' || result.error === 'fetch_failed') return true;
+  return result.error === 'http_error' && (result.status === 429 || result.status >= 500);
+}
+
+// Opens after `threshold` consecutive transient failures and fails fast for
+// `cooldownMs`; then lets one trial call through (half-open), closing again
+// on success. A threshold of 0 disables it.
+function createCircuitBreaker({ name, threshold, cooldownMs, now = Date.now }) {
+  let state = 'closed';
+  let failures = 0;
+  let openedAt = null;
+  let trialInFlight = false;
+
+  const currentState = () => (state === 'open' && now() - openedAt >= cooldownMs ? 'half_open' : state);
+
+  return {
+    allow() {
+      if (!threshold) return true;
+      state = currentState();
+      if (state === 'closed') return true;
+      if (state === 'half_open' && !trialInFlight) {
+        trialInFlight = true;
+        return true;
+      }
+      return false;
+    },
+    success() {
+      if (state !== 'closed' && PLANEAGE_DEBUG) console.warn(`Flight provider ${name}: circuit closed`);
+      state = 'closed';
+      failures = 0;
+      openedAt = null;
+      trialInFlight = false;
+    },
+    // Ends a trial call that said nothing about the upstream's health (no key,
+    // no fetch), so the next call can be the trial instead.
+    release() {
+      trialInFlight = false;
+    },
+    failure() {
+      failures++;
+      trialInFlight = false;
+      if (!threshold) return;
+      if (state === 'half_open' || (state === 'closed' && failures >= threshold)) {
+        state = 'open';
+        openedAt = now();
+        if (PLANEAGE_DEBUG) {
+          console.warn(`Flight provider ${name}: circuit open after ${failures} consecutive failure(s)`);
+        }
+      }
+    },
+    snapshot() {
+      const open = state === 'open';
+      return {
+        state: currentState(),
+        consecutiveFailures: failures,
+        openedAt: open ? new Date(openedAt).toISOString() : null,
+        retryAt: open ? new Date(openedAt + cooldownMs).toISOString() : null,
+      };
+    },
+  };
+}
+
+// Retries transient failures with full-jitter exponential backoff (or the
+// upstream's Retry-After, whichever is longer) as long as the wait and the
+// next attempt fit before `deadline`, behind a per-provider circuit breaker.
+function withRetriesAndBreaker(
+  provider,
+  {
+    retry = FLIGHT_RETRY,
+    breaker = createCircuitBreaker({ name: provider.name, ...FLIGHT_BREAKER }),
+    sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+    random = Math.random,
+    now = Date.now,
+  } = {}
+) {
+  async function withRetries(call, deadline, blocked) {
+    let result = null;
+    for (let attempt = 0; ; attempt++) {
+      const remaining = deadline - now();
+      if (remaining <= 0) return result;
+      if (!breaker.allow()) return result || { ok: false, ...blocked, status: null, error: 'circuit_open' };
+
+      try {
+        result = await call(remaining);
+      } catch (err) {
+        breaker.release();
+        throw err;
+      }
+      if (!isTransientLookupError(result)) {
+        if (result.ok || result.status) breaker.success();
+        else breaker.release();
+        return result;
+      }
+      breaker.failure();
+      if (attempt >= retry.maxRetries) return result;
+
+      const backoffMs = random() * Math.min(retry.maxDelayMs, retry.baseDelayMs * 2 ** attempt);
+      const delayMs = Math.max(backoffMs, result.retryAfterMs || 0);
+      if (delayMs >= deadline - now()) return result;
+      await sleep(delayMs);
+    }
+  }
+
+  const lookup = ({ flightNumber, date, deadline = now() + FLIGHT_LOOKUP_BUDGET_MS }) =>
+    withRetries((timeoutMs) => provider.lookup({ flightNumber, date, timeoutMs }), deadline, {
+      registration: null,
+      registrations: [],
+    });
+
+  const departures = provider.departures
+    ? ({ airport, date, deadline = now() + FLIGHT_LOOKUP_BUDGET_MS }) =>
+        withRetries((timeoutMs) => provider.departures({ airport, date, timeoutMs }), deadline, {
+          flights: [],
+        })
+    : undefined;
+
+  return { ...provider, lookup, departures, breaker: breaker.snapshot };
+}
+
+// FLIGHT_PROVIDERS is an ordered, comma-separated list of `type` or
+// `type:name` entries. A named AeroDataBox entry reads its own key from
+// RAPIDAPI_KEY_<NAME> (and optionally RAPIDAPI_HOST_<NAME>), e.g. a second
+// RapidAPI account to fall back on when the first runs out of quota; a named
+// fixture entry reads FLIGHT_FIXTURE_FILE_<NAME>.
+const FLIGHT_PROVIDER_FACTORIES = {
+  aerodatabox: (name, env) => {
+    const suffix = name === 'aerodatabox' ? '' : `_${name.split(':')[1].toUpperCase()}`;
+    return createAeroDataBoxProvider({
+      name,
+      apiKey: env[`RAPIDAPI_KEY${suffix}`],
+      host: String(env[`RAPIDAPI_HOST${suffix}`] || '').trim() || RAPIDAPI_HOST,
+    });
+  },
+  fixture: (name, env) => {
+    const suffix = name === 'fixture' ? '' : `_${name.split(':')[1].toUpperCase()}`;
+    const file = String(env[`FLIGHT_FIXTURE_FILE${suffix}`] || '').trim();
+    return createFixtureFlightProvider({ name, file: file ? path.resolve(file) : FLIGHT_FIXTURE_FILE });
+  },
+};
+
+function createFlightProviders(spec = FLIGHT_PROVIDERS, env = process.env) {
+  const names = String(spec || '')
+    .split(',')
+    .map((entry) => entry.trim().toLowerCase())
+    .filter(Boolean);
+
+  return names.map((name) => {
+    const factory = FLIGHT_PROVIDER_FACTORIES[name.split(':')[0]];
+    if (!factory || /:$/.test(name)) {
+      throw new Error(`Unknown flight provider "${name}" in FLIGHT_PROVIDERS`);
+    }
+    return withRetriesAndBreaker(factory(name, env));
+  });
+}
+
+// Errors that mean "this provider can't answer right now" rather than "this
+// flight has no answer"; the next provider in the list is tried.
+const PROVIDER_FAILOVER_ERRORS = new Set(['missing_key', 'timeout', 'http_error', 'circuit_open']);
+
+// Calls `method` on each provider that has it, in order, until one answers
+// or fails for a reason another provider would not fix. Each provider gets an
+// even share of what is left of the budget, so retries against one that hangs
+// can't starve the fallbacks behind it.
+async function firstProviderAnswer(
+  providers,
+  method,
+  query,
+  empty,
+  { budgetMs = FLIGHT_LOOKUP_BUDGET_MS, now = Date.now } = {}
+) {
+  const attempts = [];
+  const eligible = providers.filter((provider) => typeof provider[method] === 'function');
+  const budgetEnd = now() + budgetMs;
+  let result = { ok: false, ...empty, status: null, error: 'no_provider' };
+
+  for (const [i, provider] of eligible.entries()) {
+    const deadline = now() + Math.max(0, budgetEnd - now()) / (eligible.length - i);
+    const answer = await provider[method]({ ...query, deadline });
+    if (!answer) {
+      // Out of time before this provider was called.
+      if (!attempts.length) result = { ok: false, ...empty, status: null, error: 'timeout' };
+      continue;
+    }
+    result = answer;
+    attempts.push({ provider: provider.name, error: result.error || null, status: result.status || null });
+    if (result.ok || !PROVIDER_FAILOVER_ERRORS.has(result.error)) {
+      return { ...result, provider: provider.name, attempts };
+    }
+  }
+  return { ...result, provider: null, attempts };
+}
+
+function lookupTailNumber({ flightNumber, date }, providers = flightProviders, options) {
+  return firstProviderAnswer(
+    providers,
+    'lookup',
+    { flightNumber, date },
+    { registration: null, registrations: [] },
+    options
+  );
+}
+
+function searchDepartures({ airport, date }, providers = flightProviders, options) {
+  return firstProviderAnswer(providers, 'departures', { airport, date }, { flights: [] }, options);
+}
+
+const flightProviders = createFlightProviders();
+
+function createLruStore(maxEntries) {
+  const map = new Map();
+  return {
+    get(key) {
+      if (!map.has(key)) return undefined;
+      const value = map.get(key);
+      map.delete(key);
+      map.set(key, value);
+      return value;
+    },
+    set(key, value) {
+      map.delete(key);
+      map.set(key, value);
+      while (map.size > maxEntries) map.delete(map.keys().next().value);
+    },
+    delete(key) {
+      map.delete(key);
+    },
+    entries() {
+      return [...map.entries()];
+    },
+  };
+}
+
+// The LRU above, loaded from and periodically written back to a JSON file so
+// cached answers survive restarts. Writes are batched and atomic.
+function createFileBackedStore(filePath, maxEntries, { flushDelayMs = 1000, now = Date.now } = {}) {
+  const lru = createLruStore(maxEntries);
+  try {
+    const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    for (const [key, value] of parsed.entries || []) {
+      if (value && value.expiresAt > now()) lru.set(key, value);
+    }
+  } catch (err) {
+    if (err instanceof SyntaxError) console.warn(`Ignoring unreadable flight cache file: ${filePath}`);
+    else if (!err || err.code !== 'ENOENT') throw err;
+  }
+
+  let timer = null;
+  async function flush() {
+    if (timer) clearTimeout(timer);
+    timer = null;
+    const entries = lru.entries().filter(([, value]) => value.expiresAt > now());
+    const tmpPath = `${filePath}.tmp`;
+    await fsp.mkdir(path.dirname(filePath), { recursive: true });
+    await fsp.writeFile(tmpPath, JSON.stringify({ entries }));
+    await fsp.rename(tmpPath, filePath);
+  }
+
+  function scheduleFlush() {
+    if (timer) return;
+    timer = setTimeout(() => {
+      flush().catch((err) => console.error(`Flight cache write failed: ${err && err.message}`));
+    }, flushDelayMs);
+    timer.unref();
+  }
+
+  return {
+    get: lru.get,
+    set(key, value) {
+      lru.set(key, value);
+      scheduleFlush();
+    },
+    delete(key) {
+      lru.delete(key);
+      scheduleFlush();
+    },
+    entries: lru.entries,
+    flush,
+  };
+}
+
+function isoDateDaysBefore(days, nowMs = Date.now()) {
+  return new Date(nowMs - days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+// Failed lookups are never cached. A date more than a day behind UTC today
+// has finished in every time zone, so its answer is effectively final; later
+// dates can still see aircraft swaps, and unassigned answers change soonest.
+function flightCacheTtlMs(date, result, { ttl = FLIGHT_CACHE_TTL_MS, nowMs = Date.now() } = {}) {
+  if (!result || !result.ok) return 0;
+  const legs = [result.legs, result.flights].find(Array.isArray) || [];
+  const assigned = !!result.registration || legs.some((leg) => leg.registration);
+  if (!assigned) return ttl.unassigned;
+  return date < isoDateDaysBefore(1, nowMs) ? ttl.past : ttl.today;
+}
+
+// Wraps a provider lookup with a cache keyed by normalized flight + date (or
+// `keyOf(query)`). Identical concurrent lookups share one upstream call; every
+// result carries `cached` so callers can tell a cache hit from a fresh answer.
+function createCachedTailLookup({
+  lookup,
+  store,
+  ttlMs = flightCacheTtlMs,
+  keyOf = ({ flightNumber, date }) => `${normalizeFlightNumber(flightNumber)}|${date}`,
+  now = Date.now,
+}) {
+  const inFlight = new Map();
+
+  return async function cachedLookup(query) {
+    const { date } = query;
+    const key = keyOf(query);
+    const hit = store.get(key);
+    if (hit && hit.expiresAt > now()) return { ...hit.result, cached: true };
+    if (hit) store.delete(key);
+
+    if (!inFlight.has(key)) {
+      const pending = (async () => {
+        const result = await lookup(query);
+        const ttl = ttlMs(date, result, { nowMs: now() });
+        if (ttl > 0) store.set(key, { result, expiresAt: now() + ttl });
+        return result;
+      })();
+      inFlight.set(key, pending);
+      pending.then(
+        () => inFlight.delete(key),
+        () => inFlight.delete(key)
+      );
+    }
+    return { ...(await inFlight.get(key)), cached: false };
+  };
+}
+
+const flightCacheStore = FLIGHT_CACHE_FILE
+  ? createFileBackedStore(path.resolve(FLIGHT_CACHE_FILE), FLIGHT_CACHE_MAX_ENTRIES)
+  : createLruStore(FLIGHT_CACHE_MAX_ENTRIES);
+
+const cachedLookupTailNumber = createCachedTailLookup({
+  lookup: (query) => lookupTailNumber(query),
+  store: flightCacheStore,
+});
+
+const cachedSearchDepartures = createCachedTailLookup({
+  lookup: (query) => searchDepartures(query),
+  store: flightCacheStore,
+  keyOf: ({ airport, date }) => `departures:${airport}|${date}`,
+});
+
+if (TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY);
+}
+
+app.use(express.json({ limit: '10kb' }));
+app.disable('x-powered-by');
+
+app.use((req, res, next) => {
+  res.locals.cspNonce = crypto.randomBytes(16).toString('base64');
+  next();
+});
 
 const helmetOptions = {
   contentSecurityPolicy: {
@@ -655,9 +2052,11 @@ app.use(
 const publicDir = path.join(__dirname, 'public');
 const indexHtmlPath = path.join(publicDir, 'index.html');
 const notFoundHtmlPath = path.join(publicDir, '404.html');
+const fleetHtmlPath = path.join(publicDir, 'fleet.html');
 
 let cachedIndexHtml = null;
 let cached404Html = null;
+let cachedFleetHtml = null;
 
 function readUtf8Once(absPath, cached) {
   if (cached) return cached;
@@ -720,6 +2119,24 @@ app.get(['/', '/index.html'], (req, res) => {
   });
 });
 
+// Liveness plus per-provider circuit breaker state for operators.
+app.get('/healthz', (req, res) => {
+  const providers = flightProviders.map((provider) => ({
+    name: provider.name,
+    configured: provider.configured,
+    breaker: provider.breaker ? provider.breaker() : null,
+  }));
+  const available = providers.some((p) => p.configured && (!p.breaker || p.breaker.state !== 'open'));
+  res.setHeader('Cache-Control', 'no-store');
+  res.json({ ok: true, flightLookup: available ? 'available' : 'degraded', providers });
+});
+
+// The bundled airline table, for the search form's suggestions.
+app.get('/airlines', (req, res) => {
+  res.setHeader('Cache-Control', 'public, max-age=86400');
+  res.json({ ok: true, airlines: loadAirlines().airlines.map(airlineSummary) });
+});
+
 app.get('/robots.txt', (req, res) => {
   const origin = originFromRequest(req);
   const sitemapUrl = `${origin}/sitemap.xml`;
@@ -765,105 +2182,874 @@ app.use(
   })
 );
 
+const MSG_NO_ASSIGNED_AIRCRAFT = "Airline hasn't published an assigned aircraft yet.";
+const MSG_NOT_IN_REGISTRY = 'Aircraft specs not in local registry.';
+const MSG_FLIGHT_UNAVAILABLE = 'Flight details currently unavailable.';
+const MSG_NO_MATCHING_LEG = 'No leg of this flight matches that route.';
+const MSG_NO_ROUTE_FLIGHTS = 'No flights found between those airports on that date.';
+
+// Every lookup failure carries one of these codes with its HTTP status.
+// `retryable` says whether the same request may succeed later unchanged, as
+// AIRCRAFT_NOT_ASSIGNED can: airlines publish the tail close to departure.
+// `message` is the English fallback, as the UI words each code itself.
+const LOOKUP_ERRORS = {
+  INVALID_INPUT: { status: 400, retryable: false, message: MSG_INVALID_INPUT },
+  NOT_FOUND: { status: 404, retryable: false, message: MSG_NOT_FOUND },
+  FLIGHT_NOT_FOUND: { status: 404, retryable: false, message: 'No flight with that number on that date.' },
+  NO_MATCHING_LEG: { status: 404, retryable: false, message: MSG_NO_MATCHING_LEG },
+  NO_ROUTE_FLIGHTS: { status: 404, retryable: false, message: MSG_NO_ROUTE_FLIGHTS },
+  AIRCRAFT_NOT_ASSIGNED: { status: 404, retryable: true, message: MSG_NO_ASSIGNED_AIRCRAFT },
+  REGISTRY_MISS: { status: 404, retryable: false, message: MSG_NOT_IN_REGISTRY },
+  OPERATOR_NOT_FOUND: { status: 404, retryable: false, message: 'No fleet found for that operator.' },
+  UNSUPPORTED_MEDIA_TYPE: { status: 415, retryable: false, message: MSG_INVALID_INPUT },
+  RATE_LIMITED: { status: 429, retryable: true, message: 'Too many requests.' },
+  SERVER_ERROR: { status: 500, retryable: false, message: MSG_SERVER_ERROR },
+  UPSTREAM_ERROR: { status: 502, retryable: false, message: MSG_FLIGHT_UNAVAILABLE },
+  UPSTREAM_UNAVAILABLE: { status: 502, retryable: true, message: MSG_FLIGHT_UNAVAILABLE },
+  NOT_CONFIGURED: { status: 503, retryable: false, message: 'Server not configured.' },
+  UPSTREAM_RATE_LIMITED: { status: 503, retryable: true, message: MSG_FLIGHT_UNAVAILABLE },
+  DATA_UNAVAILABLE: { status: 503, retryable: true, message: 'Registry data currently unavailable.' },
+  UPSTREAM_TIMEOUT: { status: 504, retryable: true, message: MSG_FLIGHT_UNAVAILABLE },
+};
+
+function lookupFailure(code, extra = {}) {
+  const { retryable, message } = LOOKUP_ERRORS[code];
+  return { ok: false, ...extra, code, retryable, message };
+}
+
+function sendLookupError(res, code, { retryAfterMs = null, ...extra } = {}) {
+  if (retryAfterMs) res.setHeader('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+  return res.status(LOOKUP_ERRORS[code].status).json(lookupFailure(code, extra));
+}
+
+// A failed provider answer (see createAeroDataBoxProvider) as a lookup code.
+function flightLookupErrorCode(result) {
+  switch (result.error) {
+    case 'missing_key':
+    case 'missing_fetch':
+    case 'no_provider':
+      return 'NOT_CONFIGURED';
+    case 'timeout':
+      return 'UPSTREAM_TIMEOUT';
+    case 'fetch_failed':
+    case 'circuit_open':
+      return 'UPSTREAM_UNAVAILABLE';
+    case 'http_error':
+      if (result.status === 404) return 'FLIGHT_NOT_FOUND';
+      if (result.status === 429) return 'UPSTREAM_RATE_LIMITED';
+      return result.status >= 500 ? 'UPSTREAM_UNAVAILABLE' : 'UPSTREAM_ERROR';
+    default:
+      return 'UPSTREAM_ERROR';
+  }
+}
+
+// Registry reads that fail (storage errors, unreadable files) rather than
+// miss; the routes answer these with DATA_UNAVAILABLE.
+function dataUnavailableError(err) {
+  const wrapped = new Error(`Registry lookup failed: ${err && err.message ? err.message : String(err)}`);
+  wrapped.code = 'DATA_UNAVAILABLE';
+  wrapped.cause = err;
+  return wrapped;
+}
+
+function errorCodeFor(err) {
+  return err && err.code === 'DATA_UNAVAILABLE' ? 'DATA_UNAVAILABLE' : 'SERVER_ERROR';
+}
+
 const checkFlightLimiter = rateLimit({
   windowMs: 60 * 1000,
-  limit: 10,
+  limit: CHECK_FLIGHT_RATE_LIMIT,
   standardHeaders: true,
   legacyHeaders: false,
+  handler: (req, res) => sendLookupError(res, 'RATE_LIMITED'),
 });
 
 function requireJson(req, res, next) {
   if (req.is('application/json')) return next();
-  return res.status(415).json({ ok: false, message: MSG_INVALID_INPUT });
+  return sendLookupError(res, 'UNSUPPORTED_MEDIA_TYPE');
 }
 
+// Input rules shared by the UI routes and /api/v1. Each factory takes the
+// express-validator location (body, param or query) and field name; the
+// OpenAPI document reuses INPUT_PATTERNS for its parameter schemas.
+const INPUT_PATTERNS = {
+  flightNumber: /^[0-9A-Za-z ]+$/,
+  date: /^\d{4}-\d{2}-\d{2}$/,
+  airport: /^[0-9A-Za-z]{3,4}$/,
+  registration: /^[0-9A-Za-z-]+$/,
+  icao24: /^[0-9A-Fa-f]{6}$/,
+};
+
+const inputRules = {
+  flightNumber: (location, field = 'flightNumber') =>
+    location(field).isString().trim().isLength({ min: 2, max: 30 }).matches(INPUT_PATTERNS.flightNumber),
+  date: (location, field = 'date') => location(field).isString().trim().matches(INPUT_PATTERNS.date),
+  airport: (location, field) => location(field).isString().trim().matches(INPUT_PATTERNS.airport),
+  registration: (location, field = 'registration') =>
+    location(field).isString().trim().isLength({ min: 1, max: 8 }).matches(INPUT_PATTERNS.registration),
+  icao24: (location, field = 'icao24') => location(field).isString().trim().matches(INPUT_PATTERNS.icao24),
+};
+
 const validateCheckFlight = [
-  body('flightNumber')
-    .isString()
-    .trim()
-    .isLength({ min: 2, max: 10 })
-    .matches(/^[0-9A-Za-z ]+$/),
-  body('date').isString().trim().matches(/^\d{4}-\d{2}-\d{2}$/),
+  inputRules.flightNumber(body),
+  inputRules.date(body),
+  inputRules.airport(body, 'from').optional({ values: 'falsy' }),
+  inputRules.airport(body, 'to').optional({ values: 'falsy' }),
 ];
 
+// The age/type payload shared by /check-flight legs and /aircraft lookups.
+// `resolved` memoizes registry lookups within one request.
+async function resolveRegistration(registration, date, resolved = new Map()) {
+  const nNumber = normalizeNNumberFromRegistration(registration);
+  if (!resolved.has(nNumber)) {
+    const lookup = resolveAircraftSpecsByNNumber(nNumber, { asOf: date }).catch((err) => {
+      throw dataUnavailableError(err);
+    });
+    resolved.set(nNumber, lookup);
+  }
+  const aircraft = await resolved.get(nNumber);
+  if (!aircraft || !aircraft.year) return lookupFailure('REGISTRY_MISS', { registration, nNumber });
+
+  const ageDetail = computeAircraftAge(aircraft, date);
+  const typeAge = await resolveTypeAgeRank(aircraft).catch((err) => {
+    console.warn('Model age summary unavailable:', err && err.message ? err.message : String(err));
+    return null;
+  });
+  return {
+    ok: true,
+    registration,
+    nNumber,
+    year: aircraft.year,
+    manufacturer: aircraft.manufacturer,
+    model: aircraft.model,
+    aircraftType: aircraft.aircraftType,
+    aircraftName: aircraft.aircraftName,
+    family: aircraft.family,
+    variant: aircraft.variant,
+    age: ageDetail ? ageDetail.years : null,
+    ageDetail,
+    typeAge,
+    deregistered: aircraft.deregistered || null,
+    registrySnapshot: aircraft.registrySnapshot,
+    aircraft: buildAircraftDetails(aircraft, registration),
+  };
+}
+
+async function resolveFlightLeg(leg, date, resolved) {
+  const base = {
+    origin: leg.origin || null,
+    destination: leg.destination || null,
+    scheduledDeparture: leg.scheduledDeparture || null,
+    scheduledArrival: leg.scheduledArrival || null,
+    registrations: leg.registrations || [],
+  };
+  if (!leg.registration) return lookupFailure('AIRCRAFT_NOT_ASSIGNED', { ...base, registration: null });
+
+  const { ok, ...result } = await resolveRegistration(leg.registration, date, resolved);
+  return { ok, ...base, ...result };
+}
+
+// The provider's answer for a flight, narrowed to the legs matching from/to,
+// with every leg resolved against the registry. Shared by /check-flight and
+// /api/v1, which differ only in how they report the result.
+async function lookupFlightLegs({ flightNumber, date, from = null, to = null }) {
+  const tailResult = await cachedLookupTailNumber({ flightNumber, date });
+  if (!tailResult.ok) {
+    if (PLANEAGE_DEBUG) {
+      console.warn('Flight lookup failed', {
+        flightNumber,
+        date,
+        status: tailResult.status || null,
+        error: tailResult.error || null,
+        detail: tailResult.detail || null,
+        attempts: tailResult.attempts,
+      });
+    }
+    const code = flightLookupErrorCode(tailResult);
+    return { ok: false, code, retryAfterMs: tailResult.retryAfterMs || null };
+  }
+
+  const allLegs =
+    Array.isArray(tailResult.legs) && tailResult.legs.length
+      ? tailResult.legs
+      : [{ registration: tailResult.registration, registrations: tailResult.registrations || [] }];
+
+  const resolved = new Map();
+  const legs = [];
+  for (const leg of allLegs.filter((l) => legMatchesRoute(l, { from, to }))) {
+    legs.push(await resolveFlightLeg(leg, date, resolved));
+  }
+  return { ok: true, provider: tailResult.provider, cached: tailResult.cached, legs };
+}
+
 app.post('/check-flight', checkFlightLimiter, requireJson, validateCheckFlight, async (req, res) => {
   try {
     const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ ok: false, message: MSG_INVALID_INPUT });
-    }
+    if (!errors.isEmpty()) return sendLookupError(res, 'INVALID_INPUT');
 
-    const flightNumber = normalizeFlightNumber(req.body && req.body.flightNumber);
+    const designator = resolveFlightDesignator(req.body && req.body.flightNumber);
+    const flightNumber = designator.flightNumber;
+    const airline = airlineSummary(designator.airline);
     const date = normalizeDate(req.body && req.body.date);
 
-    if (!flightNumber || !date) {
-      return res.status(400).json({ ok: false, message: MSG_INVALID_INPUT });
-    }
+    if (!flightNumber || !date) return sendLookupError(res, 'INVALID_INPUT');
 
     const bypass = getPublicBypassResult(flightNumber.toUpperCase(), date);
     if (bypass) {
       return res.json({
         ok: true,
         flightNumber,
+        airline,
         date,
         ...bypass,
       });
     }
 
-    if (!RAPIDAPI_KEY) {
-      return res.status(500).json({ ok: false, message: 'Server not configured.' });
+    if (!flightProviders.some((provider) => provider.configured)) {
+      return sendLookupError(res, 'NOT_CONFIGURED');
+    }
+
+    const flight = await lookupFlightLegs({
+      flightNumber,
+      date,
+      from: normalizeAirportCode(req.body && req.body.from),
+      to: normalizeAirportCode(req.body && req.body.to),
+    });
+    if (!flight.ok) return sendLookupError(res, flight.code, { retryAfterMs: flight.retryAfterMs });
+
+    const { legs } = flight;
+    if (!legs.length) return sendLookupError(res, 'NO_MATCHING_LEG');
+    if (!legs.some((leg) => leg.registration)) return sendLookupError(res, 'AIRCRAFT_NOT_ASSIGNED');
+
+    const selected = legs.findIndex((leg) => leg.ok);
+    if (selected === -1) return sendLookupError(res, legs.find((leg) => leg.registration).code);
+
+    return res.json({
+      ...legs[selected],
+      flightNumber,
+      airline,
+      date,
+      provider: flight.provider,
+      cached: flight.cached,
+      leg: selected,
+      legs,
+    });
+  } catch (err) {
+    console.error(err && err.stack ? err.stack : String(err));
+    return sendLookupError(res, errorCodeFor(err));
+  }
+});
+
+const validateSearchRoute = [
+  inputRules.airport(body, 'from'),
+  inputRules.airport(body, 'to'),
+  inputRules.date(body),
+];
+
+function routeFlightAge(flight) {
+  if (!flight.ok) return Infinity;
+  const detail = flight.ageDetail;
+  if (detail && Number.isFinite(detail.decimal)) return detail.decimal;
+  return Number.isFinite(flight.age) ? flight.age : Infinity;
+}
+
+function compareRouteFlights(a, b) {
+  const ageA = routeFlightAge(a);
+  const ageB = routeFlightAge(b);
+  if (ageA !== ageB) return ageA < ageB ? -1 : 1;
+  return String(a.scheduledDeparture || '').localeCompare(String(b.scheduledDeparture || ''));
+}
+
+// Every departure from `from` to `to` on `date`, youngest aircraft first;
+// flights whose aircraft is unassigned or unknown follow in departure order.
+app.post('/search-route', checkFlightLimiter, requireJson, validateSearchRoute, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    const from = normalizeAirportCode(req.body && req.body.from);
+    const to = normalizeAirportCode(req.body && req.body.to);
+    const date = normalizeDate(req.body && req.body.date);
+    if (!errors.isEmpty() || !from || !to || !date || from === to) {
+      return sendLookupError(res, 'INVALID_INPUT');
+    }
+
+    if (!flightProviders.some((provider) => provider.configured && provider.departures)) {
+      return sendLookupError(res, 'NOT_CONFIGURED');
     }
 
-    const tailResult = await fetchTailNumber({ flightNumber, date });
-    if (!tailResult.ok) {
+    const board = await cachedSearchDepartures({ airport: from, date });
+    if (!board.ok) {
       if (PLANEAGE_DEBUG) {
-        console.warn('RapidAPI lookup failed', {
-          flightNumber,
+        console.warn('Departure board lookup failed', {
+          airport: from,
           date,
-          status: tailResult.status || null,
-          error: tailResult.error || null,
-          detail: tailResult.detail || null,
+          status: board.status || null,
+          error: board.error || null,
+          attempts: board.attempts,
         });
       }
-      return res.json({ ok: false, message: 'Flight details currently unavailable.' });
+      return sendLookupError(res, flightLookupErrorCode(board), { retryAfterMs: board.retryAfterMs });
     }
 
-    if (!tailResult.registration) {
-      return res.json({
-        ok: false,
-        message: "Airline hasn't published an assigned aircraft yet.",
-      });
+    const flights = board.flights.filter((flight) => legMatchesRoute(flight, { to }));
+    if (!flights.length) return sendLookupError(res, 'NO_ROUTE_FLIGHTS');
+
+    const resolved = new Map();
+    const results = [];
+    for (const flight of flights) {
+      const { flightNumber, airline } = flight;
+      results.push({ flightNumber, airline, ...(await resolveFlightLeg(flight, date, resolved)) });
+    }
+    results.sort(compareRouteFlights);
+
+    return res.json({
+      ok: true,
+      from,
+      to,
+      date,
+      provider: board.provider,
+      cached: board.cached,
+      flights: results,
+    });
+  } catch (err) {
+    console.error(err && err.stack ? err.stack : String(err));
+    return sendLookupError(res, errorCodeFor(err));
+  }
+});
+
+// US N-numbers: N plus one to five characters, the first a digit 1-9.
+function normalizeTailNumber(value) {
+  const nNumber = normalizeNNumberFromRegistration(value);
+  return /^[1-9][0-9A-Z]{0,4}$/.test(nNumber) ? nNumber : null;
+}
+
+const validateAircraftLookup = [inputRules.registration(param), inputRules.date(query).optional()];
+
+const aircraftLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  limit: CHECK_FLIGHT_RATE_LIMIT,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => sendLookupError(res, 'RATE_LIMITED'),
+});
+
+// Tail-number lookups skip the flight provider entirely; `date` (default:
+// today, UTC) is the as-of date for the age and the registry snapshot.
+app.get('/aircraft/:registration', aircraftLimiter, validateAircraftLookup, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    const nNumber = normalizeTailNumber(req.params.registration);
+    const date = req.query.date ? normalizeDate(req.query.date) : new Date().toISOString().slice(0, 10);
+    if (!errors.isEmpty() || !nNumber || !date) return sendLookupError(res, 'INVALID_INPUT');
+
+    const result = await resolveRegistration(`N${nNumber}`, date);
+    if (!result.ok) return sendLookupError(res, result.code);
+    return res.json({ ...result, date });
+  } catch (err) {
+    console.error(err && err.stack ? err.stack : String(err));
+    return sendLookupError(res, errorCodeFor(err));
+  }
+});
+
+const AIRCRAFT_HEX_BATCH_MAX = 100;
+
+const validateHexLookup = [inputRules.icao24(param), inputRules.date(query).optional()];
+
+const validateHexBatch = [
+  body('icao24').isArray({ min: 1, max: AIRCRAFT_HEX_BATCH_MAX }),
+  inputRules.icao24(body, 'icao24.*'),
+  inputRules.date(body).optional({ values: 'falsy' }),
+];
+
+// Resolves ICAO24 hex codes against the registry snapshot in effect on `date`,
+// in request order; codes not in MASTER come back ok: false. The registry
+// rows for the whole batch are read up front, a few at a time.
+async function resolveModeSHexes(hexes, date) {
+  const { sources } = await faaCsvSourcesAsOf(date);
+  const nNumbers = await findNNumbersByModeSHex(hexes, {
+    master: sources.master,
+    masterHexIndex: sources.masterHexIndex,
+  });
+
+  const wanted = [...new Set(hexes.map((icao24) => nNumbers.get(icao24)).filter(Boolean))];
+  const specs = await resolveAircraftSpecsByNNumbers(wanted, { asOf: date }).catch((err) => {
+    throw dataUnavailableError(err);
+  });
+  const resolved = new Map(wanted.map((nNumber) => [nNumber, Promise.resolve(specs.get(nNumber))]));
+
+  return mapWithConcurrency(hexes, REGISTRY_LOOKUP_CONCURRENCY, async (icao24) => {
+    const nNumber = nNumbers.get(icao24);
+    if (!nNumber) return lookupFailure('REGISTRY_MISS', { icao24 });
+    return { icao24, ...(await resolveRegistration(`N${nNumber}`, date, resolved)) };
+  });
+}
+
+app.get('/aircraft/hex/:icao24', aircraftLimiter, validateHexLookup, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    const icao24 = normalizeModeSHex(req.params.icao24);
+    const date = req.query.date ? normalizeDate(req.query.date) : new Date().toISOString().slice(0, 10);
+    if (!errors.isEmpty() || !icao24 || !date) return sendLookupError(res, 'INVALID_INPUT');
+
+    const [result] = await resolveModeSHexes([icao24], date);
+    if (!result.ok) return sendLookupError(res, result.code, { icao24 });
+    return res.json({ ...result, date });
+  } catch (err) {
+    console.error(err && err.stack ? err.stack : String(err));
+    return sendLookupError(res, errorCodeFor(err));
+  }
+});
+
+// Batch form for receiver feeds: {"icao24": ["A1B2C3", ...], "date"?}. One
+// request counts once against the rate limit; duplicates are resolved once.
+app.post('/aircraft/hex', aircraftLimiter, requireJson, validateHexBatch, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    const date = req.body.date ? normalizeDate(req.body.date) : new Date().toISOString().slice(0, 10);
+    if (!errors.isEmpty() || !date) return sendLookupError(res, 'INVALID_INPUT');
+
+    const hexes = [...new Set(req.body.icao24.map(normalizeModeSHex))];
+    const results = await resolveModeSHexes(hexes, date);
+    return res.json({ ok: true, date, results });
+  } catch (err) {
+    console.error(err && err.stack ? err.stack : String(err));
+    return sendLookupError(res, errorCodeFor(err));
+  }
+});
+
+function sendFleetPage(req, res) {
+  const origin = originFromRequest(req);
+  const canonicalUrl = `${origin}${req.path}`;
+  const nonce = res.locals.cspNonce;
+
+  cachedFleetHtml = readUtf8Once(fleetHtmlPath, cachedFleetHtml);
+  return sendCompressibleUtf8(req, res, {
+    status: 200,
+    body: applySeoPlaceholders(cachedFleetHtml, { origin, canonicalUrl, nonce }),
+    contentType: 'text/html; charset=utf-8',
+    cacheControl: 'no-store',
+  });
+}
+
+app.get('/fleet', (req, res) => sendFleetPage(req, res));
+
+const validateFleetLookup = [
+  param('operator').isString().trim().isLength({ min: 1, max: 80 }),
+  inputRules.registration(query).optional(),
+];
+
+// Fleet statistics for one registrant, precomputed by the refresh job. A
+// browser navigating here gets the fleet page, which fetches the same URL as
+// JSON. `registration` ranks one aircraft's age within the fleet, if the
+// registry has it under that registrant.
+app.get('/fleet/:operator', aircraftLimiter, validateFleetLookup, async (req, res) => {
+  if (req.accepts(['json', 'html']) === 'html') return sendFleetPage(req, res);
+
+  try {
+    const errors = validationResult(req);
+    const nNumber = req.query.registration ? normalizeTailNumber(req.query.registration) : null;
+    if (!errors.isEmpty() || (req.query.registration && !nNumber)) {
+      return sendLookupError(res, 'INVALID_INPUT');
     }
 
-    const registration = tailResult.registration;
-    const nNumber = normalizeNNumberFromRegistration(registration);
-    const aircraft = await resolveAircraftSpecsByNNumber(nNumber);
-    if (!aircraft || !aircraft.year) {
-      return res.json({ ok: false, message: 'Aircraft specs not in local registry.' });
+    const summary = await readFleetSummary();
+    if (!summary) return sendLookupError(res, 'DATA_UNAVAILABLE');
+
+    const { operator, candidates } = findFleetOperator(summary, req.params.operator);
+    if (!operator) {
+      return sendLookupError(res, 'OPERATOR_NOT_FOUND', {
+        candidates: candidates
+          .slice(0, 10)
+          .map(({ operator: name, slug, count }) => ({ operator: name, slug, count })),
+      });
     }
 
-    const mfrYear = Number(aircraft.year);
-    const nowYear = new Date().getFullYear();
-    const age = Number.isFinite(mfrYear) ? Math.max(0, nowYear - mfrYear) : null;
+    let aircraft = null;
+    if (nNumber) {
+      const resolved = new Map();
+      const result = await resolveRegistration(`N${nNumber}`, summary.asOf, resolved);
+      const record = await resolved.get(result.nNumber);
+      const inFleet = !!record && normalizeOperatorName(record.name) === operator.operator;
+      const age = result.ageDetail ? result.ageDetail.decimal : null;
+      aircraft = result.ok
+        ? {
+            ok: true,
+            registration: result.registration,
+            aircraftType: result.aircraftType,
+            year: result.year,
+            age,
+            inFleet,
+            percentile: inFleet ? fleetAgePercentile(operator, age) : null,
+          }
+        : lookupFailure(result.code, { registration: result.registration });
+    }
 
     return res.json({
       ok: true,
-      flightNumber,
+      asOf: summary.asOf,
+      generatedAt: summary.generatedAt,
+      ...operator,
+      aircraft,
+    });
+  } catch (err) {
+    console.error(err && err.stack ? err.stack : String(err));
+    return sendLookupError(res, errorCodeFor(err));
+  }
+});
+
+// Versioned JSON API for integrations. Unlike the UI routes it answers GET
+// only, sends Cache-Control on success, reports failures as
+// { error: { code, message, retryable } } with the LOOKUP_ERRORS status, and
+// lists its response fields explicitly so UI payload changes don't alter the
+// contract.
+
+// Registry answers only change when the refresh job publishes new files.
+const API_AIRCRAFT_MAX_AGE_S = 60 * 60;
+
+function apiError(code) {
+  const { message, retryable } = LOOKUP_ERRORS[code];
+  return { code, message, retryable };
+}
+
+function sendApiError(res, code, { retryAfterMs = null } = {}) {
+  res.setHeader('Cache-Control', 'no-store');
+  if (retryAfterMs) res.setHeader('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+  return res.status(LOOKUP_ERRORS[code].status).json({ error: apiError(code) });
+}
+
+function apiAircraft(result) {
+  const age = result.ageDetail;
+  return {
+    registration: result.registration,
+    nNumber: result.nNumber,
+    manufacturer: result.manufacturer || null,
+    model: result.model || null,
+    name: result.aircraftName || null,
+    family: result.family || null,
+    variant: result.variant || null,
+    year: Number(result.year),
+    age: age
+      ? {
+          years: age.years,
+          months: age.months,
+          decimal: age.decimal,
+          source: age.source,
+          precision: age.precision,
+          since: age.since,
+          asOf: age.asOf,
+        }
+      : null,
+    typeAge: result.typeAge || null,
+    deregistered: result.deregistered || null,
+    registrySnapshot: result.registrySnapshot || null,
+    registry: result.aircraft,
+  };
+}
+
+function apiFlightLeg(leg) {
+  return {
+    origin: leg.origin,
+    destination: leg.destination,
+    scheduledDeparture: leg.scheduledDeparture,
+    scheduledArrival: leg.scheduledArrival,
+    registration: leg.registration,
+    registrations: leg.registrations,
+    aircraft: leg.ok ? apiAircraft(leg) : null,
+    error: leg.ok ? null : apiError(leg.code),
+  };
+}
+
+function buildOpenApiDocument() {
+  const nullable = (schema) => ({ anyOf: [schema, { type: 'null' }] });
+  const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+  const pattern = (name) => INPUT_PATTERNS[name].source;
+  const jsonResponse = (description, schema) => ({
+    description,
+    content: { 'application/json': { schema } },
+  });
+  const errorResponse = (codes) =>
+    jsonResponse(codes, { type: 'object', properties: { error: ref('Error') } });
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'PlaneAge API',
+      version: '1.0.0',
+      description: 'Flight and registration lookups against the FAA aircraft registry.',
+    },
+    servers: [{ url: '/api/v1' }],
+    paths: {
+      '/flights/{flightNumber}': {
+        get: {
+          operationId: 'getFlight',
+          summary: 'Aircraft assigned to each leg of a flight on a date',
+          parameters: [
+            {
+              name: 'flightNumber',
+              in: 'path',
+              required: true,
+              description: 'IATA (DL47) or ICAO (DAL47) designator, or airline name and number (Delta 47)',
+              schema: { type: 'string', minLength: 2, maxLength: 30, pattern: pattern('flightNumber') },
+            },
+            {
+              name: 'date',
+              in: 'query',
+              required: true,
+              description: 'Local departure date, YYYY-MM-DD',
+              schema: { type: 'string', pattern: pattern('date') },
+            },
+            {
+              name: 'from',
+              in: 'query',
+              description: 'Only legs departing this IATA or ICAO airport',
+              schema: { type: 'string', pattern: pattern('airport') },
+            },
+            {
+              name: 'to',
+              in: 'query',
+              description: 'Only legs arriving at this IATA or ICAO airport',
+              schema: { type: 'string', pattern: pattern('airport') },
+            },
+          ],
+          responses: {
+            200: jsonResponse('The flight', ref('Flight')),
+            400: errorResponse('INVALID_INPUT'),
+            404: errorResponse('FLIGHT_NOT_FOUND, NO_MATCHING_LEG'),
+            429: errorResponse('RATE_LIMITED'),
+            502: errorResponse('UPSTREAM_ERROR, UPSTREAM_UNAVAILABLE'),
+            503: errorResponse('NOT_CONFIGURED, UPSTREAM_RATE_LIMITED, DATA_UNAVAILABLE'),
+            504: errorResponse('UPSTREAM_TIMEOUT'),
+          },
+        },
+      },
+      '/aircraft/{registration}': {
+        get: {
+          operationId: 'getAircraft',
+          summary: 'A US-registered aircraft and its age',
+          parameters: [
+            {
+              name: 'registration',
+              in: 'path',
+              required: true,
+              description: 'N-number, with or without the leading N',
+              schema: { type: 'string', minLength: 1, maxLength: 8, pattern: pattern('registration') },
+            },
+            {
+              name: 'date',
+              in: 'query',
+              description: 'As-of date for the age and registry snapshot, YYYY-MM-DD (default: today, UTC)',
+              schema: { type: 'string', pattern: pattern('date') },
+            },
+          ],
+          responses: {
+            200: jsonResponse('The aircraft', ref('Aircraft')),
+            400: errorResponse('INVALID_INPUT'),
+            404: errorResponse('REGISTRY_MISS'),
+            429: errorResponse('RATE_LIMITED'),
+            503: errorResponse('DATA_UNAVAILABLE'),
+          },
+        },
+      },
+    },
+    components: {
+      schemas: {
+        Error: {
+          type: 'object',
+          required: ['code', 'message', 'retryable'],
+          properties: {
+            code: { type: 'string', enum: Object.keys(LOOKUP_ERRORS) },
+            message: { type: 'string', description: 'English description; clients should key on `code`' },
+            retryable: { type: 'boolean', description: 'The same request may succeed later' },
+          },
+        },
+        Airline: nullable({
+          type: 'object',
+          properties: {
+            iata: { type: ['string', 'null'] },
+            icao: { type: ['string', 'null'] },
+            name: { type: ['string', 'null'] },
+          },
+        }),
+        Airport: nullable({
+          type: 'object',
+          properties: {
+            iata: { type: ['string', 'null'] },
+            icao: { type: ['string', 'null'] },
+            name: { type: ['string', 'null'] },
+          },
+        }),
+        Age: {
+          type: 'object',
+          properties: {
+            years: { type: 'integer' },
+            months: { type: ['integer', 'null'] },
+            decimal: { type: 'number' },
+            source: { type: 'string', enum: ['AIR WORTH DATE', 'YEAR MFR'] },
+            precision: { type: 'string', enum: ['month', 'year'] },
+            since: { type: 'string' },
+            asOf: { type: 'string', format: 'date' },
+          },
+        },
+        TypeAgeGroup: {
+          type: 'object',
+          properties: {
+            code: { type: 'string', description: 'ACFTREF model code (model only)' },
+            name: { type: 'string' },
+            count: { type: 'integer' },
+            medianAge: { type: ['number', 'null'] },
+            percentile: { type: ['number', 'null'] },
+          },
+        },
+        Aircraft: {
+          type: 'object',
+          required: ['registration', 'nNumber', 'year', 'age'],
+          properties: {
+            registration: { type: 'string' },
+            nNumber: { type: 'string' },
+            manufacturer: { type: ['string', 'null'] },
+            model: { type: ['string', 'null'] },
+            name: { type: ['string', 'null'], description: 'Marketing name, e.g. Boeing 737-800' },
+            family: { type: ['string', 'null'] },
+            variant: { type: ['string', 'null'] },
+            year: { type: 'integer', description: 'Year of manufacture' },
+            age: nullable(ref('Age')),
+            typeAge: nullable({
+              type: 'object',
+              description: 'Age percentile among aircraft of the same model and family',
+              properties: {
+                asOf: { type: 'string', format: 'date' },
+                model: ref('TypeAgeGroup'),
+                family: nullable(ref('TypeAgeGroup')),
+              },
+            }),
+            deregistered: nullable({
+              type: 'object',
+              properties: {
+                cancelDate: { type: ['string', 'null'], format: 'date' },
+                reason: { type: ['string', 'null'], description: 'FAA DEREG cancellation code' },
+                exportCountry: { type: ['string', 'null'] },
+              },
+            }),
+            registrySnapshot: nullable({
+              type: 'object',
+              properties: {
+                asOf: { type: 'string', format: 'date' },
+                updatedAt: { type: 'string', format: 'date-time' },
+                current: { type: 'boolean' },
+                exact: { type: 'boolean' },
+              },
+            }),
+            registry: {
+              type: 'object',
+              description: 'FAA registry record: serial number, type, engine, certification, Mode S',
+              additionalProperties: true,
+            },
+          },
+        },
+        FlightLeg: {
+          type: 'object',
+          properties: {
+            origin: ref('Airport'),
+            destination: ref('Airport'),
+            scheduledDeparture: { type: ['string', 'null'], description: 'Local time' },
+            scheduledArrival: { type: ['string', 'null'], description: 'Local time' },
+            registration: { type: ['string', 'null'] },
+            registrations: { type: 'array', items: { type: 'string' } },
+            aircraft: nullable(ref('Aircraft')),
+            error: nullable(ref('Error')),
+          },
+        },
+        Flight: {
+          type: 'object',
+          properties: {
+            flightNumber: { type: 'string' },
+            airline: ref('Airline'),
+            date: { type: 'string', format: 'date' },
+            provider: { type: 'string' },
+            legs: { type: 'array', items: ref('FlightLeg') },
+          },
+        },
+      },
+    },
+  };
+}
+
+const API_OPENAPI_DOCUMENT = buildOpenApiDocument();
+
+const apiLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  limit: API_RATE_LIMIT,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => sendApiError(res, 'RATE_LIMITED'),
+});
+
+const validateApiFlight = [
+  inputRules.flightNumber(param),
+  inputRules.date(query),
+  inputRules.airport(query, 'from').optional(),
+  inputRules.airport(query, 'to').optional(),
+];
+
+const validateApiAircraft = [inputRules.registration(param), inputRules.date(query).optional()];
+
+app.get('/api/v1/openapi.json', (req, res) => {
+  res.setHeader('Cache-Control', 'public, max-age=3600');
+  return res.json(API_OPENAPI_DOCUMENT);
+});
+
+app.get('/api/v1/flights/:flightNumber', apiLimiter, validateApiFlight, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    const designator = resolveFlightDesignator(req.params.flightNumber);
+    const date = normalizeDate(req.query.date);
+    if (!errors.isEmpty() || !designator.flightNumber || !date) return sendApiError(res, 'INVALID_INPUT');
+
+    if (!flightProviders.some((provider) => provider.configured)) return sendApiError(res, 'NOT_CONFIGURED');
+
+    const flight = await lookupFlightLegs({
+      flightNumber: designator.flightNumber,
+      date,
+      from: normalizeAirportCode(req.query.from),
+      to: normalizeAirportCode(req.query.to),
+    });
+    if (!flight.ok) return sendApiError(res, flight.code, { retryAfterMs: flight.retryAfterMs });
+    if (!flight.legs.length) return sendApiError(res, 'NO_MATCHING_LEG');
+
+    const maxAge = Math.floor(flightCacheTtlMs(date, flight) / 1000);
+    res.setHeader('Cache-Control', `public, max-age=${maxAge}`);
+    return res.json({
+      flightNumber: designator.flightNumber,
+      airline: airlineSummary(designator.airline),
       date,
-      registration,
-      nNumber,
-      year: aircraft.year,
-      manufacturer: aircraft.manufacturer,
-      model: aircraft.model,
-      aircraftType: aircraft.aircraftType,
-      age,
+      provider: flight.provider,
+      legs: flight.legs.map(apiFlightLeg),
     });
   } catch (err) {
     console.error(err && err.stack ? err.stack : String(err));
-    return res.status(500).json({ ok: false, message: MSG_SERVER_ERROR });
+    return sendApiError(res, errorCodeFor(err));
+  }
+});
+
+app.get('/api/v1/aircraft/:registration', apiLimiter, validateApiAircraft, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    const nNumber = normalizeTailNumber(req.params.registration);
+    const date = req.query.date ? normalizeDate(req.query.date) : new Date().toISOString().slice(0, 10);
+    if (!errors.isEmpty() || !nNumber || !date) return sendApiError(res, 'INVALID_INPUT');
+
+    const result = await resolveRegistration(`N${nNumber}`, date);
+    if (!result.ok) return sendApiError(res, result.code);
+
+    res.setHeader('Cache-Control', `public, max-age=${API_AIRCRAFT_MAX_AGE_S}`);
+    return res.json(apiAircraft(result));
+  } catch (err) {
+    console.error(err && err.stack ? err.stack : String(err));
+    return sendApiError(res, errorCodeFor(err));
   }
 });
 
+app.use('/api/v1', (req, res) => sendApiError(res, 'NOT_FOUND'));
+
 function shouldServeHtml404(req) {
   if (req.method !== 'GET' && req.method !== 'HEAD') return false;
   if (path.extname(req.path)) return false;
@@ -887,15 +3073,13 @@ app.use((req, res) => {
       cacheControl: 'no-store',
     });
   }
-  res.status(404).json({ ok: false, message: MSG_NOT_FOUND });
+  return sendLookupError(res, 'NOT_FOUND');
 });
 
 app.use((err, req, res, _next) => {
-  if (err && err.type === 'entity.parse.failed') {
-    return res.status(400).json({ ok: false, message: MSG_INVALID_INPUT });
-  }
+  if (err && err.type === 'entity.parse.failed') return sendLookupError(res, 'INVALID_INPUT');
   console.error(err && err.stack ? err.stack : String(err));
-  res.status(500).json({ ok: false, message: MSG_SERVER_ERROR });
+  return sendLookupError(res, 'SERVER_ERROR');
 });
 
 if (require.main === module) {
@@ -907,12 +3091,42 @@ if (require.main === module) {
 module.exports = {
   app,
   normalizeFlightNumber,
+  resolveFlightDesignator,
+  loadAirlines,
   normalizeDate,
+  findFleetOperator,
+  fleetAgePercentile,
+  histogramAgePercentile,
+  resolveTypeAgeRank,
   normalizeNNumberFromRegistration,
   extractRegistrationFromFlightResponse,
+  extractFlightLegsFromFlightResponse,
+  extractDeparturesFromFidsResponse,
   findAircraftInMasterCsv,
   findAircraftInAcftRef,
+  findEngineInEngineRef,
+  findAircraftByNNumber,
+  findDeregisteredAircraft,
+  findNNumbersByModeSHex,
+  loadCsvKeyIndex,
   resolveAircraftSpecsByNNumber,
+  resolveAircraftSpecsByNNumbers,
+  selectSnapshot,
+  buildAircraftDetails,
+  modeSHexFromOctal,
   fetchTailNumber,
+  createAeroDataBoxProvider,
+  createFixtureFlightProvider,
+  createFlightProviders,
+  createCircuitBreaker,
+  withRetriesAndBreaker,
+  parseRetryAfterMs,
+  flightLookupErrorCode,
+  lookupTailNumber,
+  searchDepartures,
+  createLruStore,
+  createFileBackedStore,
+  flightCacheTtlMs,
+  createCachedTailLookup,
   getPublicBypassResult,
 };
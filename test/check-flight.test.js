@@ -0,0 +1,476 @@
+const test = require('node:test');
+const assert = require('assert/strict');
+const path = require('path');
+const os = require('os');
+const fs = require('fs');
+
+// The route is exercised end to end against the fixture provider and a
+// registry built from the test fixtures, so nothing here touches the network.
+const FIXTURES = path.join(__dirname, 'fixtures');
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'planeage-route-'));
+fs.copyFileSync(path.join(FIXTURES, 'master.real.header.csv'), path.join(dataDir, 'master.csv'));
+fs.copyFileSync(path.join(FIXTURES, 'acftref.sample.csv'), path.join(dataDir, 'acftref.csv'));
+fs.copyFileSync(path.join(FIXTURES, 'dereg.sample.csv'), path.join(dataDir, 'dereg.csv'));
+fs.copyFileSync(path.join(FIXTURES, 'engine.sample.csv'), path.join(dataDir, 'engine.csv'));
+
+process.env.FAA_DATA_DIR = dataDir;
+process.env.FLIGHT_PROVIDERS = 'fixture';
+process.env.FLIGHT_FIXTURE_FILE = path.join(FIXTURES, 'flights.ndjson');
+process.env.CHECK_FLIGHT_RATE_LIMIT = '100';
+process.env.FLIGHT_RETRY_BASE_MS = '1';
+process.env.FLIGHT_BREAKER_THRESHOLD = '0';
+
+const { app, createFixtureFlightProvider } = require('../server');
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  server = app.listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+async function checkFlight(flightNumber, date, extra = {}) {
+  const res = await fetch(`${baseUrl}/check-flight`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ flightNumber, date, ...extra }),
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+test('fixture provider maps timeouts, 429s and codeshares like AeroDataBox', async () => {
+  const provider = createFixtureFlightProvider({ file: path.join(FIXTURES, 'flights.ndjson') });
+  const lookup = (flightNumber) => provider.lookup({ flightNumber, date: '2025-01-02' });
+
+  assert.equal((await lookup('DL50')).error, 'timeout');
+  const quota = await lookup('DL49');
+  assert.equal(quota.error, 'http_error');
+  assert.equal(quota.status, 429);
+  assert.deepEqual((await lookup('AF3647')).registrations, ['N123AB', 'N999XX']);
+  assert.equal((await lookup('DL48')).registration, null);
+  assert.equal((await lookup('ZZ1')).status, 404);
+});
+
+test('check-flight joins a fixture answer to the registry', async () => {
+  const { status, body } = await checkFlight('DL 47', '2025-01-02');
+  assert.equal(status, 200);
+  assert.equal(body.ok, true);
+  assert.equal(body.provider, 'fixture');
+  assert.equal(body.registration, 'N123AB');
+  assert.equal(body.aircraftType, 'BOEING 737-800');
+  assert.equal(body.aircraftName, 'Boeing 737-800');
+  assert.equal(body.family, 'Boeing 737');
+  assert.equal(body.year, '2015');
+  assert.equal(body.ageDetail.precision, 'month');
+  assert.equal(body.cached, false);
+
+  const again = await checkFlight('DL47', '2025-01-02');
+  assert.equal(again.body.cached, true);
+  assert.equal(again.body.registration, 'N123AB');
+});
+
+test('check-flight resolves ICAO designators and airline names', async () => {
+  for (const input of ['DAL47', 'Delta 47', 'delta air lines 47']) {
+    const { body } = await checkFlight(input, '2025-01-02');
+    assert.equal(body.ok, true, input);
+    assert.equal(body.flightNumber, 'DL47');
+    assert.deepEqual(body.airline, { iata: 'DL', icao: 'DAL', name: 'Delta Air Lines' });
+    assert.equal(body.registration, 'N123AB');
+  }
+
+  const res = await fetch(`${baseUrl}/airlines`);
+  const { airlines } = await res.json();
+  assert.ok(airlines.some((a) => a.iata === 'DL' && a.icao === 'DAL'));
+});
+
+test('check-flight uses the first leg of a codeshare array', async () => {
+  const { body } = await checkFlight('AF3647', '2025-01-02');
+  assert.equal(body.registration, 'N123AB');
+});
+
+test('check-flight falls back to DEREG for a cancelled tail', async () => {
+  const { body } = await checkFlight('DL51', '2025-01-02');
+  assert.equal(body.ok, true);
+  assert.equal(body.deregistered.exportCountry, 'MX');
+});
+
+test('check-flight reports empty, throttled and timed-out lookups', async () => {
+  const unavailable = 'Flight details currently unavailable.';
+  const empty = await checkFlight('DL48', '2025-01-02');
+  assert.equal(empty.status, 404);
+  assert.equal(empty.body.message, "Airline hasn't published an assigned aircraft yet.");
+  assert.equal(empty.body.code, 'AIRCRAFT_NOT_ASSIGNED');
+  assert.equal(empty.body.retryable, true);
+
+  const quota = await checkFlight('DL49', '2025-01-02');
+  assert.equal(quota.status, 503);
+  assert.deepEqual(quota.body, {
+    ok: false,
+    code: 'UPSTREAM_RATE_LIMITED',
+    retryable: true,
+    message: unavailable,
+  });
+
+  const timeout = await checkFlight('DL50', '2025-01-02');
+  assert.equal(timeout.status, 504);
+  assert.equal(timeout.body.code, 'UPSTREAM_TIMEOUT');
+  assert.equal(timeout.body.message, unavailable);
+});
+
+test('check-flight gives every failure a code, status and retryable flag', async () => {
+  const unknown = await checkFlight('ZZ1', '2025-01-02');
+  assert.equal(unknown.status, 404);
+  assert.equal(unknown.body.code, 'FLIGHT_NOT_FOUND');
+  assert.equal(unknown.body.retryable, false);
+
+  const unregistered = await checkFlight('DL52', '2025-01-02');
+  assert.equal(unregistered.status, 404);
+  assert.equal(unregistered.body.code, 'REGISTRY_MISS');
+
+  const invalid = await checkFlight('!', '2025-01-02');
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.code, 'INVALID_INPUT');
+
+  const notJson = await fetch(`${baseUrl}/check-flight`, { method: 'POST', body: 'flightNumber=DL47' });
+  assert.equal(notJson.status, 415);
+  assert.equal((await notJson.json()).code, 'UNSUPPORTED_MEDIA_TYPE');
+});
+
+test('check-flight resolves every leg and narrows by from/to', async () => {
+  const all = await checkFlight('WN1', '2025-01-02');
+  assert.equal(all.body.ok, true);
+  assert.equal(all.body.leg, 0);
+  assert.deepEqual(
+    all.body.legs.map((leg) => [leg.origin.iata, leg.destination.iata, leg.registration, leg.ok]),
+    [
+      ['DAL', 'HOU', 'N123AB', true],
+      ['HOU', 'MSY', 'N777ZZ', true],
+    ]
+  );
+  assert.equal(all.body.legs[0].scheduledDeparture, '2025-01-02 07:00-06:00');
+  assert.deepEqual(all.body.legs[0].registrations, ['N999XX', 'N123AB']);
+  assert.equal(all.body.registration, 'N123AB');
+
+  const second = await checkFlight('WN1', '2025-01-02', { from: 'khou', to: 'MSY' });
+  assert.equal(second.body.legs.length, 1);
+  assert.equal(second.body.registration, 'N777ZZ');
+  assert.ok(second.body.deregistered);
+
+  const none = await checkFlight('WN1', '2025-01-02', { to: 'AUS' });
+  assert.equal(none.body.ok, false);
+  assert.equal(none.status, 404);
+  assert.equal(none.body.code, 'NO_MATCHING_LEG');
+  assert.equal(none.body.message, 'No leg of this flight matches that route.');
+
+  const invalid = await checkFlight('WN1', '2025-01-02', { from: 'not an airport' });
+  assert.equal(invalid.status, 400);
+});
+
+test('aircraft lookup by tail number skips the flight provider', async () => {
+  const get = async (url) => {
+    const res = await fetch(`${baseUrl}${url}`);
+    return { status: res.status, body: await res.json() };
+  };
+
+  const hit = await get('/aircraft/N123AB?date=2025-01-02');
+  assert.equal(hit.status, 200);
+  assert.equal(hit.body.ok, true);
+  assert.equal(hit.body.registration, 'N123AB');
+  assert.equal(hit.body.aircraftType, 'BOEING 737-800');
+  assert.equal(hit.body.ageDetail.asOf, '2025-01-02');
+  assert.equal(hit.body.aircraft.serialNumber, 'TESTSERIAL');
+  assert.equal(hit.body.aircraft.engine.manufacturer, 'CFM INTL');
+  assert.equal(hit.body.aircraft.engine.thrustLbf, 27300);
+
+  const bare = await get('/aircraft/123ab?date=2025-01-02');
+  assert.equal(bare.body.registration, 'N123AB');
+  assert.equal(bare.body.age, hit.body.age);
+
+  const cancelled = await get('/aircraft/N777ZZ');
+  assert.equal(cancelled.body.deregistered.exportCountry, 'MX');
+  assert.equal(cancelled.body.date, new Date().toISOString().slice(0, 10));
+
+  assert.equal((await get('/aircraft/N99999')).status, 404);
+  assert.equal((await get('/aircraft/NABC')).status, 400);
+  assert.equal((await get('/aircraft/N123AB?date=tomorrow')).status, 400);
+});
+
+test('aircraft can be looked up by ICAO24 Mode S hex, singly or in a batch', async () => {
+  const hit = await fetch(`${baseUrl}/aircraft/hex/a00000?date=2025-01-02`);
+  const body = await hit.json();
+  assert.equal(hit.status, 200);
+  assert.equal(body.icao24, 'A00000');
+  assert.equal(body.registration, 'N123AB');
+  assert.equal(body.aircraftType, 'BOEING 737-800');
+
+  assert.equal((await fetch(`${baseUrl}/aircraft/hex/ABCDEF`)).status, 404);
+  assert.equal((await fetch(`${baseUrl}/aircraft/hex/XYZ123`)).status, 400);
+
+  const batch = async (payload) => {
+    const res = await fetch(`${baseUrl}/aircraft/hex`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  const { status, body: many } = await batch({ icao24: ['A00000', 'abcdef', 'a00000'], date: '2025-01-02' });
+  assert.equal(status, 200);
+  assert.deepEqual(
+    many.results.map((r) => [r.icao24, r.ok, r.registration || null]),
+    [
+      ['A00000', true, 'N123AB'],
+      ['ABCDEF', false, null],
+    ]
+  );
+  assert.equal((await batch({ icao24: [] })).status, 400);
+  assert.equal((await batch({ icao24: ['A0000'] })).status, 400);
+});
+
+test('healthz reports provider breaker state', async () => {
+  const res = await fetch(`${baseUrl}/healthz`);
+  const body = await res.json();
+  assert.equal(res.status, 200);
+  assert.equal(body.flightLookup, 'available');
+  assert.deepEqual(
+    body.providers.map((p) => [p.name, p.breaker.state]),
+    [['fixture', 'closed']]
+  );
+});
+
+test('route search ranks departures between two airports by aircraft age', async () => {
+  const search = async (payload) => {
+    const res = await fetch(`${baseUrl}/search-route`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  const { status, body } = await search({ from: 'jfk', to: 'LAX', date: '2025-01-02' });
+  assert.equal(status, 200);
+  assert.equal(body.ok, true);
+  assert.equal(body.provider, 'fixture');
+  assert.deepEqual(
+    body.flights.map((f) => [f.flightNumber, f.registration, f.ok]),
+    [
+      ['DL47', 'N123AB', true],
+      ['AA1', 'N100', true],
+      ['UA5', null, false],
+    ]
+  );
+  assert.equal(body.flights[0].airline, 'Delta Air Lines');
+  assert.equal(body.flights[0].aircraftType, 'BOEING 737-800');
+  assert.ok(body.flights[0].age < body.flights[1].age);
+
+  const byIcao = await search({ from: 'JFK', to: 'KBOS', date: '2025-01-02' });
+  assert.deepEqual(byIcao.body.flights.map((f) => f.flightNumber), ['B6915']);
+  assert.equal(byIcao.body.cached, true);
+
+  assert.equal((await search({ from: 'JFK', to: 'ORD', date: '2025-01-02' })).body.ok, false);
+  assert.equal((await search({ from: 'SFO', to: 'LAX', date: '2025-01-02' })).body.ok, false);
+  assert.equal((await search({ from: 'JFK', to: 'JFK', date: '2025-01-02' })).status, 400);
+});
+
+test('check-flight ranks the aircraft age within its model and family', async () => {
+  const models = {
+    generatedAt: '2025-07-01T06:00:00.000Z',
+    asOf: '2025-07-01',
+    minAircraft: 1,
+    models: {
+      '0001234': {
+        name: 'BOEING 737-800',
+        family: 'BOEING 737',
+        count: 20,
+        medianAge: 12,
+        histogram: [
+          { age: 4, count: 4 },
+          { age: 12, count: 16 },
+        ],
+      },
+    },
+    families: {
+      'BOEING 737': {
+        count: 40,
+        medianAge: 9,
+        histogram: [
+          { age: 4, count: 4 },
+          { age: 8, count: 20 },
+          { age: 12, count: 16 },
+        ],
+      },
+    },
+  };
+  fs.writeFileSync(path.join(dataDir, 'models.json'), JSON.stringify(models));
+
+  const { body } = await checkFlight('DL47', '2025-01-02');
+  assert.equal(body.ok, true);
+  assert.deepEqual(body.typeAge, {
+    asOf: '2025-07-01',
+    model: { code: '0001234', name: 'BOEING 737-800', count: 20, medianAge: 12, percentile: 20 },
+    family: { name: 'BOEING 737', count: 40, medianAge: 9, percentile: 60 },
+  });
+});
+
+test('fleet statistics are served per operator once the refresh has built them', async () => {
+  const fleet = async (operator, accept = 'application/json') => {
+    const res = await fetch(`${baseUrl}/fleet/${operator}`, { headers: { Accept: accept } });
+    const type = res.headers.get('content-type') || '';
+    return { status: res.status, body: type.includes('json') ? await res.json() : await res.text() };
+  };
+
+  const missing = await fleet('test-airlines-inc');
+  assert.equal(missing.status, 503);
+  assert.equal(missing.body.code, 'DATA_UNAVAILABLE');
+  assert.equal(missing.body.retryable, true);
+
+  const operator = (name, count) => ({
+    operator: name,
+    slug: name.toLowerCase().replace(/ /g, '-'),
+    count,
+    meanAge: 8.1,
+    medianAge: 10,
+    histogram: [
+      { age: 3, count: 5 },
+      { age: 10, count: 4 },
+      { age: 22, count: 1 },
+    ],
+    models: [{ model: 'BOEING 737-800', count, meanAge: 8.1 }],
+  });
+  const summary = {
+    generatedAt: '2025-07-01T06:00:00.000Z',
+    asOf: '2025-07-01',
+    minAircraft: 1,
+    operators: [operator('TEST AIRLINES INC', 10), operator('TEST AIR CARGO LLC', 4)],
+  };
+  fs.writeFileSync(path.join(dataDir, 'fleet.json'), JSON.stringify(summary));
+
+  const { status, body } = await fleet('test-airlines-inc?registration=N123AB');
+  assert.equal(status, 200);
+  assert.equal(body.operator, 'TEST AIRLINES INC');
+  assert.equal(body.count, 10);
+  assert.deepEqual(body.aircraft, {
+    ok: true,
+    registration: 'N123AB',
+    aircraftType: 'BOEING 737-800',
+    year: '2015',
+    age: 10.2,
+    inFleet: true,
+    percentile: 70,
+  });
+
+  const elsewhere = await fleet('test-air-cargo-llc?registration=N123AB');
+  assert.equal(elsewhere.body.aircraft.inFleet, false);
+  assert.equal(elsewhere.body.aircraft.percentile, null);
+
+  const unregistered = await fleet('test-airlines-inc?registration=N999XX');
+  assert.equal(unregistered.body.aircraft.code, 'REGISTRY_MISS');
+  assert.equal(unregistered.body.aircraft.retryable, false);
+
+  const ambiguous = await fleet('test');
+  assert.equal(ambiguous.status, 404);
+  assert.equal(ambiguous.body.code, 'OPERATOR_NOT_FOUND');
+  assert.deepEqual(ambiguous.body.candidates.map((c) => c.slug), ['test-airlines-inc', 'test-air-cargo-llc']);
+
+  const page = await fleet('test-airlines-inc', 'text/html');
+  assert.equal(page.status, 200);
+  assert.match(page.body, /<script src="\/fleet\.js">/);
+});
+
+test('demo flight is answered from the fixture file', async () => {
+  const { body } = await checkFlight('TT111', '2025-01-01');
+  assert.equal(body.ok, true);
+  assert.equal(body.age, 10);
+  assert.equal(body.registration, 'TT-111');
+});
+
+test('/api/v1 answers flight lookups with a stable, cacheable schema', async () => {
+  const get = async (url) => {
+    const res = await fetch(`${baseUrl}/api/v1${url}`);
+    return { status: res.status, headers: res.headers, body: await res.json() };
+  };
+
+  const flight = await get('/flights/DAL47?date=2025-01-02');
+  assert.equal(flight.status, 200);
+  assert.equal(flight.headers.get('cache-control'), 'public, max-age=2592000');
+  assert.equal(flight.body.flightNumber, 'DL47');
+  assert.equal(flight.body.airline.icao, 'DAL');
+  assert.equal(flight.body.legs.length, 1);
+  const [leg] = flight.body.legs;
+  assert.equal(leg.error, null);
+  assert.equal(leg.aircraft.registration, 'N123AB');
+  assert.equal(leg.aircraft.year, 2015);
+  assert.equal(leg.aircraft.name, 'Boeing 737-800');
+  assert.equal(leg.aircraft.age.precision, 'month');
+  assert.equal(leg.aircraft.age.text, undefined);
+  assert.equal(leg.aircraft.registry.serialNumber, 'TESTSERIAL');
+
+  const route = await get('/flights/WN1?date=2025-01-02&from=HOU');
+  assert.deepEqual(
+    route.body.legs.map((l) => [l.origin.iata, l.registration]),
+    [['HOU', 'N777ZZ']]
+  );
+  assert.equal((await get('/flights/WN1?date=2025-01-02&to=AUS')).body.error.code, 'NO_MATCHING_LEG');
+
+  const unassigned = await get('/flights/DL48?date=2025-01-02');
+  assert.equal(unassigned.status, 200);
+  assert.equal(unassigned.body.legs[0].aircraft, null);
+  assert.equal(unassigned.body.legs[0].error.code, 'AIRCRAFT_NOT_ASSIGNED');
+
+  const throttled = await get('/flights/DL49?date=2025-01-02');
+  assert.equal(throttled.status, 503);
+  assert.equal(throttled.headers.get('cache-control'), 'no-store');
+  assert.deepEqual(throttled.body, {
+    error: {
+      code: 'UPSTREAM_RATE_LIMITED',
+      message: 'Flight details currently unavailable.',
+      retryable: true,
+    },
+  });
+  assert.equal((await get('/flights/ZZ1?date=2025-01-02')).body.error.code, 'FLIGHT_NOT_FOUND');
+
+  assert.equal((await get('/flights/DL47')).body.error.code, 'INVALID_INPUT');
+  assert.equal((await get('/flights/DL47?date=2025-01-02&from=x')).status, 400);
+});
+
+test('/api/v1 answers registration lookups and serves its OpenAPI document', async () => {
+  const url = `${baseUrl}/api/v1/aircraft/N123AB?date=2025-01-02`;
+  const res = await fetch(url);
+  const body = await res.json();
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get('cache-control'), 'public, max-age=3600');
+  assert.equal(body.nNumber, '123AB');
+  assert.equal(body.variant, 'Boeing 737-800');
+  assert.equal(body.age.asOf, '2025-01-02');
+  assert.equal(body.ok, undefined);
+
+  // fetch() adds `Cache-Control: no-cache` to conditional requests unless one is set.
+  const again = await fetch(url, {
+    headers: { 'If-None-Match': res.headers.get('etag'), 'Cache-Control': 'max-age=0' },
+  });
+  assert.equal(again.status, 304);
+
+  const miss = await fetch(`${baseUrl}/api/v1/aircraft/N99999`);
+  assert.equal(miss.status, 404);
+  assert.equal((await miss.json()).error.code, 'REGISTRY_MISS');
+
+  const unknown = await fetch(`${baseUrl}/api/v1/nope`, { headers: { Accept: 'text/html' } });
+  assert.equal(unknown.status, 404);
+  assert.equal((await unknown.json()).error.code, 'NOT_FOUND');
+
+  const doc = await (await fetch(`${baseUrl}/api/v1/openapi.json`)).json();
+  assert.equal(doc.openapi, '3.1.0');
+  assert.deepEqual(Object.keys(doc.paths), ['/flights/{flightNumber}', '/aircraft/{registration}']);
+  const date = doc.paths['/aircraft/{registration}'].get.parameters.find((p) => p.name === 'date');
+  assert.ok(new RegExp(date.schema.pattern).test('2025-01-02'));
+  assert.ok(doc.components.schemas.Error.properties.code.enum.includes('REGISTRY_MISS'));
+});
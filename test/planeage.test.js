@@ -1,18 +1,56 @@
 const test = require('node:test');
 const assert = require('assert/strict');
 const path = require('path');
+const os = require('os');
+const fs = require('fs');
 
 const {
   normalizeFlightNumber,
+  resolveFlightDesignator,
   normalizeDate,
   normalizeNNumberFromRegistration,
   extractRegistrationFromFlightResponse,
+  extractFlightLegsFromFlightResponse,
   findAircraftInMasterCsv,
   findAircraftInAcftRef,
+  findEngineInEngineRef,
+  findAircraftByNNumber,
+  findDeregisteredAircraft,
+  findNNumbersByModeSHex,
   resolveAircraftSpecsByNNumber,
+  resolveAircraftSpecsByNNumbers,
+  selectSnapshot,
+  buildAircraftDetails,
+  modeSHexFromOctal,
   fetchTailNumber,
+  createAeroDataBoxProvider,
+  createFlightProviders,
+  createCircuitBreaker,
+  withRetriesAndBreaker,
+  parseRetryAfterMs,
+  flightLookupErrorCode,
+  lookupTailNumber,
+  createLruStore,
+  createFileBackedStore,
+  flightCacheTtlMs,
+  createCachedTailLookup,
   getPublicBypassResult,
+  findFleetOperator,
+  fleetAgePercentile,
 } = require('../server');
+const {
+  MASTER_COLUMNS,
+  buildCsvKeyIndex,
+  buildCsvKeyIndexes,
+  checkFaaCsvHeader,
+  resolveCsvColumns,
+  computeAircraftAge,
+  normalizeOperatorName,
+  fleetSlug,
+  modelFamilyName,
+  loadAircraftFamilies,
+  normalizeAircraftModel,
+} = require('../faa');
 
 test('normalization', () => {
   assert.equal(normalizeFlightNumber('DL 47'), 'DL47');
@@ -22,6 +60,56 @@ test('normalization', () => {
   assert.equal(normalizeNNumberFromRegistration('N123AB'), '123AB');
 });
 
+test('flight designators resolve through the airline table', () => {
+  const resolve = (value) => {
+    const { flightNumber, airline } = resolveFlightDesignator(value);
+    return [flightNumber, airline && airline.iata];
+  };
+  assert.deepEqual(resolve('DAL47'), ['DL47', 'DL']);
+  assert.deepEqual(resolve('Delta 47'), ['DL47', 'DL']);
+  assert.deepEqual(resolve('ua 1'), ['UA1', 'UA']);
+  assert.deepEqual(resolve('U21234'), ['U21234', 'U2']);
+  assert.deepEqual(resolve('B6 1234'), ['B61234', 'B6']);
+  assert.deepEqual(resolve('Aeroméxico 2'), ['AM2', 'AM']);
+  assert.deepEqual(resolve('TT111'), ['TT111', null]);
+});
+
+test('departure boards are fetched in two half-day windows and merged', async () => {
+  const urls = [];
+  const flight = (number, utc) => ({
+    number,
+    departure: { airport: { iata: 'JFK' }, scheduledTime: { utc, local: utc } },
+    arrival: { airport: { iata: 'LAX' } },
+    aircraft: { reg: 'N123AB' },
+  });
+  const provider = createAeroDataBoxProvider({
+    apiKey: 'k',
+    fetchImpl: async (url) => {
+      urls.push(url);
+      const departures = url.includes('T00:00')
+        ? [flight('DL 47', '2025-01-02 11:00Z'), flight('AA 1', '2025-01-02 16:59Z')]
+        : [flight('AA 1', '2025-01-02 16:59Z'), flight('UA 5', '2025-01-02 20:00Z')];
+      return { ok: true, status: 200, json: async () => ({ departures }) };
+    },
+  });
+
+  const result = await provider.departures({ airport: 'JFK', date: '2025-01-02' });
+  assert.equal(result.ok, true);
+  assert.deepEqual(
+    result.flights.map((f) => [f.flightNumber, f.destination.iata, f.registration]),
+    [
+      ['DL47', 'LAX', 'N123AB'],
+      ['AA1', 'LAX', 'N123AB'],
+      ['UA5', 'LAX', 'N123AB'],
+    ]
+  );
+  assert.equal(urls.length, 2);
+  assert.match(urls[0], /\/flights\/airports\/iata\/JFK\/2025-01-02T00:00\/2025-01-02T11:59\?direction=Departure/);
+
+  await provider.departures({ airport: 'KJFK', date: '2025-01-02' });
+  assert.match(urls[2], /\/flights\/airports\/icao\/KJFK\//);
+});
+
 test('codeshare array handling uses first result', () => {
   const data = [
     { aircraft: { reg: 'FIRST' } },
@@ -30,6 +118,16 @@ test('codeshare array handling uses first result', () => {
   assert.equal(extractRegistrationFromFlightResponse(data), 'FIRST');
 });
 
+test('legs without airport data collapse into one leg', () => {
+  const legs = extractFlightLegsFromFlightResponse([
+    { aircraft: { reg: 'FIRST' } },
+    { aircraft: { reg: 'SECOND' } },
+  ]);
+  assert.equal(legs.length, 1);
+  assert.equal(legs[0].registration, 'FIRST');
+  assert.deepEqual(legs[0].registrations, ['FIRST', 'SECOND']);
+});
+
 test('CSV lookup finds by N-number (trimmed)', async () => {
   const csvPath = path.join(__dirname, 'fixtures', 'master.real.header.csv');
   const r1 = await findAircraftInMasterCsv('123AB', csvPath);
@@ -51,6 +149,131 @@ test('CSV lookup reads kit fields from MASTER', async () => {
   assert.equal(r.kitModel, 'MODEL-X');
 });
 
+test('N-number index answers hits and misses without scanning', async () => {
+  const csvPath = path.join(__dirname, 'fixtures', 'master.real.header.csv');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'planeage-idx-'));
+  const indexPath = path.join(dir, 'master.idx');
+
+  const stats = await buildCsvKeyIndex(csvPath, indexPath);
+  assert.equal(stats.rows, 2);
+  assert.equal(stats.uniqueKeys, 2);
+  assert.deepEqual(stats.duplicateKeys, []);
+
+  let scans = 0;
+  const master = {
+    id: 'counting',
+    createReadStream: (range) => {
+      if (!range) scans++;
+      return fs.createReadStream(csvPath, { encoding: 'utf8', ...range });
+    },
+    byteLength: async () => fs.statSync(csvPath).size,
+  };
+
+  const hit = await findAircraftByNNumber('100', { master, masterIndex: indexPath });
+  assert.equal(hit.year, '1998');
+  assert.equal(hit.kitModel, 'MODEL-X');
+
+  assert.equal(await findAircraftByNNumber('999ZZ', { master, masterIndex: indexPath }), null);
+  assert.equal(scans, 0);
+
+  const stale = { ...master, byteLength: async () => 1 };
+  const scanned = await findAircraftByNNumber('123AB', { master: stale, masterIndex: indexPath });
+  assert.equal(scanned.year, '2015');
+  assert.equal(scans, 1);
+
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('one MASTER read builds several indexes and hands over every row', async () => {
+  const csvPath = path.join(__dirname, 'fixtures', 'master.real.header.csv');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'planeage-idx-'));
+  const single = path.join(dir, 'single.idx');
+  const both = [path.join(dir, 'n.idx'), path.join(dir, 'hex.idx')];
+
+  const rows = [];
+  const stats = await buildCsvKeyIndexes(
+    csvPath,
+    [
+      { indexPath: both[0], keyColumn: MASTER_COLUMNS.N_NUMBER },
+      { indexPath: both[1], keyColumn: MASTER_COLUMNS.MODE_S_CODE_HEX },
+    ],
+    { fields: { nNumber: 'N_NUMBER', year: 'YEAR_MFR' }, onRecord: (r) => rows.push(r) }
+  );
+  assert.deepEqual(stats.map((s) => s.rows), [2, 1]);
+  assert.deepEqual(rows, [
+    { nNumber: '123AB', year: '2015' },
+    { nNumber: '100', year: '1998' },
+  ]);
+
+  await buildCsvKeyIndex(csvPath, single);
+  assert.deepEqual(fs.readFileSync(both[0]), fs.readFileSync(single));
+
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('Mode S hex index maps ICAO24 codes to N-numbers, scanning only without it', async () => {
+  const csvPath = path.join(__dirname, 'fixtures', 'master.real.header.csv');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'planeage-hex-'));
+  const indexPath = path.join(dir, 'master-hex.idx');
+
+  const stats = await buildCsvKeyIndex(csvPath, indexPath, { keyColumn: MASTER_COLUMNS.MODE_S_CODE_HEX });
+  assert.equal(stats.rows, 1);
+
+  let scans = 0;
+  const master = {
+    id: 'counting',
+    createReadStream: (range) => {
+      if (!range) scans++;
+      return fs.createReadStream(csvPath, { encoding: 'utf8', ...range });
+    },
+    byteLength: async () => fs.statSync(csvPath).size,
+  };
+
+  const found = await findNNumbersByModeSHex(['a00000', 'ABCDEF', 'nope'], {
+    master,
+    masterHexIndex: indexPath,
+  });
+  assert.deepEqual([...found], [['A00000', '123AB']]);
+  assert.equal(scans, 0);
+
+  // Without the hex column the octal MODE S CODE still answers.
+  const noHexPath = path.join(dir, 'master.csv');
+  fs.writeFileSync(noHexPath, fs.readFileSync(csvPath, 'utf8').replace(',A00000,', ',,'));
+  const scanned = await findNNumbersByModeSHex(['A00000'], { master: noHexPath });
+  assert.equal(scanned.get('A00000'), '123AB');
+
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('columns resolve by normalized header name', async () => {
+  const cols = resolveCsvColumns(
+    '"YEAR MFR",N-NUMBER, KIT MODEL,KIT_MFR,MFR MDL CODE',
+    { N_NUMBER: 'N-NUMBER', YEAR_MFR: 'YEAR MFR', KIT_MFR: 'KIT MFR', KIT_MODEL: 'KIT MODEL' },
+    'MASTER'
+  );
+  assert.deepEqual(cols, { N_NUMBER: 1, YEAR_MFR: 0, KIT_MFR: 3, KIT_MODEL: 2 });
+
+  const csvPath = path.join(__dirname, 'fixtures', 'master.real.header.csv');
+  const master = await checkFaaCsvHeader('MASTER', csvPath);
+  assert.equal(master.KIT_MODEL, 32);
+});
+
+test('reordered MASTER columns still return the right year', async () => {
+  const lines = [
+    'YEAR MFR,MFR MDL CODE,KIT MODEL,KIT MFR,N-NUMBER',
+    '1977,0001234,,,555XY',
+  ];
+  const master = () => require('stream').Readable.from([lines.join('\n')]);
+  const r = await findAircraftInMasterCsv('555XY', master);
+  assert.equal(r.year, '1977');
+  assert.equal(r.mfrMdlCode, '0001234');
+});
+
+test('missing MASTER column fails loudly', async () => {
+  const master = () => require('stream').Readable.from(['N-NUMBER,MFR MDL CODE\n123AB,0001234\n']);
+  await assert.rejects(findAircraftInMasterCsv('123AB', master), /MASTER header is missing required column\(s\): YEAR MFR/);
+});
+
 test('ACFTREF lookup returns aircraft type text', async () => {
   const csvPath = path.join(__dirname, 'fixtures', 'acftref.sample.csv');
   const r = await findAircraftInAcftRef('0001234', csvPath);
@@ -59,6 +282,16 @@ test('ACFTREF lookup returns aircraft type text', async () => {
   assert.equal(r.typeAcft, '4');
 });
 
+test('ENGINE lookup returns engine manufacturer, model and rating', async () => {
+  const csvPath = path.join(__dirname, 'fixtures', 'engine.sample.csv');
+  const r = await findEngineInEngineRef('41508', csvPath);
+  assert.equal(r.engMfrMdlCode, '41508');
+  assert.equal(r.manufacturer, 'CFM INTL');
+  assert.equal(r.model, 'CFM56-7B27');
+  assert.equal(r.thrust, '027300');
+  assert.equal(await findEngineInEngineRef('99999', csvPath), null);
+});
+
 test('Resolve specs joins MASTER -> ACFTREF when MANUFACTURER/MODEL missing', async () => {
   const masterPath = path.join(__dirname, 'fixtures', 'master.real.header.csv');
   const acftRefPath = path.join(__dirname, 'fixtures', 'acftref.sample.csv');
@@ -67,6 +300,198 @@ test('Resolve specs joins MASTER -> ACFTREF when MANUFACTURER/MODEL missing', as
   assert.equal(r.manufacturer, 'BOEING');
   assert.equal(r.model, '737-800');
   assert.equal(r.aircraftType, 'BOEING 737-800');
+  assert.equal(r.engineRef, null);
+});
+
+test('Resolve specs joins MASTER -> ENGINE into the aircraft details', async () => {
+  const masterPath = path.join(__dirname, 'fixtures', 'master.real.header.csv');
+  const acftRefPath = path.join(__dirname, 'fixtures', 'acftref.sample.csv');
+  const enginePath = path.join(__dirname, 'fixtures', 'engine.sample.csv');
+  const r = await resolveAircraftSpecsByNNumber('123AB', { masterPath, acftRefPath, enginePath });
+  assert.equal(r.engineRef.model, 'CFM56-7B27');
+
+  const { engine } = buildAircraftDetails(r, 'N123AB');
+  assert.equal(engine.code, '41508');
+  assert.equal(engine.manufacturer, 'CFM INTL');
+  assert.equal(engine.model, 'CFM56-7B27');
+  assert.equal(engine.thrustLbf, 27300);
+  assert.equal(engine.horsepower, null);
+});
+
+test('a batch of N-numbers scans ACFTREF once', async () => {
+  const masterPath = path.join(__dirname, 'fixtures', 'master.real.header.csv');
+  const acftRefFile = path.join(__dirname, 'fixtures', 'acftref.sample.csv');
+  let opens = 0;
+  const acftRefPath = {
+    id: acftRefFile,
+    createReadStream: () => {
+      opens++;
+      return fs.createReadStream(acftRefFile, { encoding: 'utf8' });
+    },
+  };
+
+  const specs = await resolveAircraftSpecsByNNumbers(['123AB', '100', '999ZZ', '123AB'], {
+    masterPath,
+    acftRefPath,
+  });
+  assert.deepEqual([...specs.keys()], ['123AB', '100', '999ZZ']);
+  assert.equal(specs.get('123AB').aircraftType, 'BOEING 737-800');
+  assert.equal(specs.get('100').year, '1998');
+  assert.equal(specs.get('100').aircraftType, 'KITCO MODEL-X');
+  assert.equal(specs.get('999ZZ'), null);
+  assert.equal(opens, 1);
+});
+
+test('registry details carry MASTER and ACFTREF fields', async () => {
+  const masterPath = path.join(__dirname, 'fixtures', 'master.real.header.csv');
+  const acftRefPath = path.join(__dirname, 'fixtures', 'acftref.sample.csv');
+  const specs = await resolveAircraftSpecsByNNumber('123AB', { masterPath, acftRefPath });
+  const details = buildAircraftDetails(specs, 'N123AB');
+
+  assert.equal(details.serialNumber, 'TESTSERIAL');
+  assert.equal(details.engine.code, '41508');
+  assert.deepEqual(details.engine.type, { code: '5', label: 'Turbo-fan' });
+  assert.equal(details.engine.count, 2);
+  assert.equal(details.seats, 189);
+  assert.deepEqual(details.weightClass, { code: 'CLASS 3', label: '20,000 lb and over' });
+  assert.deepEqual(details.category, { code: '1', label: 'Land' });
+  assert.deepEqual(details.status, { code: 'V', label: 'Valid registration' });
+  assert.deepEqual(details.registrantType, { code: '3', label: 'Corporation' });
+  assert.equal(details.certification.issueDate, '2015-03-20');
+  assert.equal(details.certification.airworthinessDate, '2015-04-01');
+  assert.deepEqual(details.modeS, { octal: '50000000', hex: 'A00000' });
+});
+
+test('Mode S octal converts to ICAO hex', () => {
+  assert.equal(modeSHexFromOctal('50000000'), 'A00000');
+  assert.equal(modeSHexFromOctal('52417061'), 'AA1E31');
+  assert.equal(modeSHexFromOctal('9'), null);
+});
+
+test('age uses the airworthiness date with month precision as of the flight date', () => {
+  const age = computeAircraftAge({ year: '2015', airWorthDate: '20150401' }, '2024-08-15');
+  assert.equal(age.years, 9);
+  assert.equal(age.months, 4);
+  assert.equal(age.decimal, 9.3);
+  assert.equal(age.text, '9 years 4 months');
+  assert.equal(age.source, 'AIR WORTH DATE');
+  assert.equal(age.precision, 'month');
+
+  const dayBefore = computeAircraftAge({ year: '2015', airWorthDate: '20150401' }, '2015-04-30');
+  assert.equal(dayBefore.text, 'Less than a month');
+});
+
+test('age falls back to YEAR MFR when the airworthiness date is missing or re-issued', () => {
+  const noDate = computeAircraftAge({ year: '1998' }, '2010-06-01');
+  assert.equal(noDate.years, 12);
+  assert.equal(noDate.precision, 'year');
+  assert.equal(noDate.source, 'YEAR MFR');
+
+  const reissued = computeAircraftAge({ year: '1998', airWorthDate: '20120105' }, '2020-06-01');
+  assert.equal(reissued.years, 22);
+  assert.equal(reissued.source, 'YEAR MFR');
+
+  assert.equal(computeAircraftAge({ year: '2030' }, '2025-01-01').years, 0);
+  assert.equal(computeAircraftAge({}, '2025-01-01'), null);
+});
+
+test('registry miss falls back to the latest DEREG cancellation', async () => {
+  const masterPath = path.join(__dirname, 'fixtures', 'master.real.header.csv');
+  const acftRefPath = path.join(__dirname, 'fixtures', 'acftref.sample.csv');
+  const deregPath = path.join(__dirname, 'fixtures', 'dereg.sample.csv');
+
+  const r = await resolveAircraftSpecsByNNumber('777ZZ', { masterPath, acftRefPath, deregPath });
+  assert.equal(r.year, '2008');
+  assert.equal(r.serialNumber, 'EXPORTED1');
+  assert.equal(r.aircraftType, 'BOEING 737-800');
+  assert.deepEqual(r.deregistered, {
+    cancelDate: '2023-03-15',
+    reason: 'E',
+    exportCountry: 'MX',
+  });
+
+  assert.equal(await resolveAircraftSpecsByNNumber('999ZZ', { masterPath, acftRefPath, deregPath }), null);
+  assert.equal((await resolveAircraftSpecsByNNumber('123AB', { masterPath, acftRefPath, deregPath })).deregistered, undefined);
+});
+
+test('DEREG index returns every cancellation of an N-number', async () => {
+  const deregPath = path.join(__dirname, 'fixtures', 'dereg.sample.csv');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'planeage-dereg-'));
+  const deregIndex = path.join(dir, 'dereg.idx');
+
+  const stats = await buildCsvKeyIndex(deregPath, deregIndex, { label: 'DEREG', keyColumn: 'N-NUMBER' });
+  assert.equal(stats.rows, 3);
+  assert.equal(stats.uniqueKeys, 2);
+  assert.deepEqual(stats.duplicateKeys, ['777ZZ']);
+
+  const r = await findDeregisteredAircraft('777ZZ', { dereg: deregPath, deregIndex });
+  assert.equal(r.cancelDate, '20230315');
+  assert.equal(await findDeregisteredAircraft('123AB', { dereg: deregPath, deregIndex }), null);
+
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('snapshot selection picks the one in effect on the date', () => {
+  const snapshots = [
+    { updatedAt: '2025-01-07T06:00:00.000Z' },
+    { updatedAt: '2025-01-14T06:00:00.000Z' },
+    { updatedAt: '2025-01-21T06:00:00.000Z' },
+  ];
+
+  assert.deepEqual(selectSnapshot(snapshots, '2025-01-14'), {
+    snapshot: snapshots[1],
+    current: false,
+    exact: true,
+  });
+  assert.equal(selectSnapshot(snapshots, '2025-01-20').snapshot, snapshots[1]);
+  assert.equal(selectSnapshot(snapshots, '2025-06-01').current, true);
+  assert.deepEqual(selectSnapshot(snapshots, '2024-12-31'), {
+    snapshot: snapshots[0],
+    current: false,
+    exact: false,
+  });
+  assert.equal(selectSnapshot([], '2025-01-14'), null);
+});
+
+test('past dates resolve against the retained local snapshot', async () => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'planeage-snapshots-'));
+  const fixtures = path.join(__dirname, 'fixtures');
+  const master = fs.readFileSync(path.join(fixtures, 'master.real.header.csv'), 'utf8');
+
+  const writeSnapshot = (stamp, masterText) => {
+    const dir = path.join(dataDir, 'snapshots', stamp);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, 'master.csv'), masterText);
+    fs.copyFileSync(path.join(fixtures, 'acftref.sample.csv'), path.join(dir, 'acftref.csv'));
+    return { master: `snapshots/${stamp}/master.csv`, acftref: `snapshots/${stamp}/acftref.csv` };
+  };
+
+  const older = writeSnapshot('20240102T060000Z', master.replace(',2015,3,', ',2014,3,'));
+  const newer = writeSnapshot('20250102T060000Z', master);
+  const history = {
+    snapshots: [
+      { updatedAt: '2024-01-02T06:00:00.000Z', ...older },
+      { updatedAt: '2025-01-02T06:00:00.000Z', ...newer },
+    ],
+  };
+  fs.writeFileSync(path.join(dataDir, 'snapshots', 'history.json'), JSON.stringify(history));
+
+  const previousDataDir = process.env.FAA_DATA_DIR;
+  process.env.FAA_DATA_DIR = dataDir;
+  try {
+    const then = await resolveAircraftSpecsByNNumber('123AB', { asOf: '2024-06-01' });
+    assert.equal(then.year, '2014');
+    assert.deepEqual(then.registrySnapshot, {
+      asOf: '2024-06-01',
+      updatedAt: '2024-01-02T06:00:00.000Z',
+      current: false,
+      exact: true,
+    });
+  } finally {
+    if (previousDataDir === undefined) delete process.env.FAA_DATA_DIR;
+    else process.env.FAA_DATA_DIR = previousDataDir;
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
 });
 
 test('fetchTailNumber reads response[0].aircraft.reg', async () => {
@@ -101,9 +526,411 @@ test('fetchTailNumber ok=true but reg missing returns registration=null', async
   assert.equal(result.registration, null);
 });
 
+test('AeroDataBox provider returns every registration candidate', async () => {
+  const provider = createAeroDataBoxProvider({
+    apiKey: 'test',
+    fetchImpl: async () => ({
+      ok: true,
+      json: async () => [
+        { aircraft: { reg: 'N12345' } },
+        { aircraft: { reg: 'N12345' } },
+        { aircraft: { reg: 'N67890' } },
+      ],
+    }),
+    timeoutMs: 50,
+  });
+  const result = await provider.lookup({ flightNumber: 'DL47', date: '2025-01-02' });
+  assert.equal(result.registration, 'N12345');
+  assert.deepEqual(result.registrations, ['N12345', 'N67890']);
+});
+
+test('flight providers come from config and fail over in order', async () => {
+  const providers = createFlightProviders('aerodatabox, aerodatabox:backup', {
+    RAPIDAPI_KEY: 'primary',
+    RAPIDAPI_KEY_BACKUP: 'backup',
+  });
+  assert.deepEqual(
+    providers.map((p) => [p.name, p.configured]),
+    [
+      ['aerodatabox', true],
+      ['aerodatabox:backup', true],
+    ]
+  );
+  assert.throws(() => createFlightProviders('flightaware'), /Unknown flight provider "flightaware"/);
+
+  const stub = (name, result) => ({ name, configured: true, lookup: async () => result });
+  const quotaExceeded = stub('primary', { ok: false, registration: null, status: 429, error: 'http_error' });
+  const timedOut = stub('secondary', { ok: false, registration: null, status: null, error: 'timeout' });
+  const answers = stub('tertiary', { ok: true, registration: 'N12345', registrations: ['N12345'], status: 200 });
+
+  const result = await lookupTailNumber({ flightNumber: 'DL47', date: '2025-01-02' }, [
+    quotaExceeded,
+    timedOut,
+    answers,
+  ]);
+  assert.equal(result.ok, true);
+  assert.equal(result.provider, 'tertiary');
+  assert.deepEqual(
+    result.attempts.map((a) => [a.provider, a.error]),
+    [
+      ['primary', 'http_error'],
+      ['secondary', 'timeout'],
+      ['tertiary', null],
+    ]
+  );
+
+  const badJson = stub('primary', { ok: false, registration: null, status: 200, error: 'invalid_json' });
+  const stopped = await lookupTailNumber({ flightNumber: 'DL47', date: '2025-01-02' }, [badJson, answers]);
+  assert.equal(stopped.ok, false);
+  assert.equal(stopped.provider, 'primary');
+});
+
+test('a provider that keeps timing out leaves budget for the next one', async () => {
+  let clock = 0;
+  const options = {
+    retry: { maxRetries: 2, baseDelayMs: 300, maxDelayMs: 3000 },
+    sleep: async (ms) => {
+      clock += ms;
+    },
+    random: () => 0.5,
+    now: () => clock,
+  };
+  const hangs = withRetriesAndBreaker(
+    {
+      name: 'a',
+      configured: true,
+      lookup: async ({ timeoutMs }) => {
+        clock += Math.min(timeoutMs, 5000);
+        return { ok: false, registration: null, status: null, error: 'timeout' };
+      },
+    },
+    options
+  );
+  const deadlines = [];
+  const answers = withRetriesAndBreaker(
+    {
+      name: 'b',
+      configured: true,
+      lookup: async ({ timeoutMs }) => {
+        deadlines.push(clock + timeoutMs);
+        return { ok: true, registration: 'N12345', registrations: ['N12345'], status: 200 };
+      },
+    },
+    options
+  );
+
+  const query = { flightNumber: 'DL47', date: '2025-01-02' };
+  const result = await lookupTailNumber(query, [hangs, answers], { budgetMs: 12000, now: () => clock });
+  assert.equal(result.ok, true);
+  assert.equal(result.provider, 'b');
+  assert.deepEqual(
+    result.attempts.map((a) => [a.provider, a.error]),
+    [
+      ['a', 'timeout'],
+      ['b', null],
+    ]
+  );
+  assert.deepEqual(deadlines, [12000]);
+
+  clock = 0;
+  const skipped = await lookupTailNumber(query, [hangs, hangs], { budgetMs: 0, now: () => clock });
+  assert.equal(skipped.error, 'timeout');
+  assert.deepEqual(skipped.attempts, []);
+});
+
+test('transient upstream errors are retried with backoff and Retry-After', async () => {
+  const answers = [
+    { ok: false, registration: null, status: 503, error: 'http_error' },
+    { ok: false, registration: null, status: 429, error: 'http_error', retryAfterMs: 2000 },
+    { ok: true, registration: 'N12345', registrations: ['N12345'], status: 200 },
+  ];
+  const timeouts = [];
+  const sleeps = [];
+  let clock = 0;
+  const provider = withRetriesAndBreaker(
+    {
+      name: 'stub',
+      configured: true,
+      lookup: async ({ timeoutMs }) => {
+        timeouts.push(timeoutMs);
+        return answers.shift();
+      },
+    },
+    {
+      retry: { maxRetries: 2, baseDelayMs: 300, maxDelayMs: 3000 },
+      breaker: createCircuitBreaker({ name: 'stub', threshold: 5, cooldownMs: 1000, now: () => clock }),
+      sleep: async (ms) => {
+        sleeps.push(ms);
+        clock += ms;
+      },
+      random: () => 0.5,
+      now: () => clock,
+    }
+  );
+
+  const result = await provider.lookup({ flightNumber: 'DL47', date: '2025-01-02', deadline: 12000 });
+  assert.equal(result.ok, true);
+  assert.deepEqual(sleeps, [150, 2000]);
+  assert.deepEqual(timeouts, [12000, 11850, 9850]);
+  assert.equal(provider.breaker().state, 'closed');
+
+  const slow = withRetriesAndBreaker(
+    {
+      name: 'slow',
+      configured: true,
+      lookup: async () => ({ ok: false, registration: null, status: 429, error: 'http_error', retryAfterMs: 60000 }),
+    },
+    { sleep: async () => assert.fail('must not wait past the deadline'), now: () => 0 }
+  );
+  const limited = await slow.lookup({ flightNumber: 'DL47', date: '2025-01-02', deadline: 12000 });
+  assert.equal(limited.status, 429);
+  assert.equal(parseRetryAfterMs('3'), 3000);
+  assert.equal(parseRetryAfterMs('Wed, 01 Jan 2025 00:00:10 GMT', Date.parse('2025-01-01T00:00:00Z')), 10000);
+});
+
+test('provider failures map to stable lookup error codes', () => {
+  const code = (error, status = null) => flightLookupErrorCode({ ok: false, error, status });
+  assert.equal(code('missing_key'), 'NOT_CONFIGURED');
+  assert.equal(code('no_provider'), 'NOT_CONFIGURED');
+  assert.equal(code('timeout'), 'UPSTREAM_TIMEOUT');
+  assert.equal(code('fetch_failed'), 'UPSTREAM_UNAVAILABLE');
+  assert.equal(code('circuit_open'), 'UPSTREAM_UNAVAILABLE');
+  assert.equal(code('http_error', 404), 'FLIGHT_NOT_FOUND');
+  assert.equal(code('http_error', 429), 'UPSTREAM_RATE_LIMITED');
+  assert.equal(code('http_error', 503), 'UPSTREAM_UNAVAILABLE');
+  assert.equal(code('http_error', 403), 'UPSTREAM_ERROR');
+  assert.equal(code('invalid_json', 200), 'UPSTREAM_ERROR');
+});
+
+test('circuit breaker fails fast while open and recovers through half-open', async () => {
+  let clock = 0;
+  let calls = 0;
+  let healthy = false;
+  const provider = withRetriesAndBreaker(
+    {
+      name: 'flaky',
+      configured: true,
+      lookup: async () => {
+        calls++;
+        return healthy
+          ? { ok: true, registration: 'N12345', registrations: ['N12345'], status: 200 }
+          : { ok: false, registration: null, status: null, error: 'timeout' };
+      },
+    },
+    {
+      retry: { maxRetries: 0, baseDelayMs: 1, maxDelayMs: 1 },
+      breaker: createCircuitBreaker({ name: 'flaky', threshold: 2, cooldownMs: 1000, now: () => clock }),
+      now: () => clock,
+    }
+  );
+  const query = () => provider.lookup({ flightNumber: 'DL47', date: '2025-01-02', deadline: clock + 12000 });
+
+  await query();
+  await query();
+  assert.equal(provider.breaker().state, 'open');
+  assert.equal((await query()).error, 'circuit_open');
+  assert.equal(calls, 2);
+
+  clock = 1000;
+  assert.equal(provider.breaker().state, 'half_open');
+  healthy = true;
+  assert.equal((await query()).ok, true);
+  assert.equal(provider.breaker().state, 'closed');
+  assert.equal(calls, 3);
+});
+
+test('a half-open trial that never reaches the upstream does not wedge the breaker', async () => {
+  let clock = 0;
+  const answers = [
+    { ok: false, registration: null, status: null, error: 'timeout' },
+    { ok: false, registration: null, status: null, error: 'missing_key' },
+    { ok: true, registration: 'N12345', registrations: ['N12345'], status: 200 },
+  ];
+  const provider = withRetriesAndBreaker(
+    { name: 'keyless', configured: true, lookup: async () => answers.shift() },
+    {
+      retry: { maxRetries: 0, baseDelayMs: 1, maxDelayMs: 1 },
+      breaker: createCircuitBreaker({ name: 'keyless', threshold: 1, cooldownMs: 1000, now: () => clock }),
+      now: () => clock,
+    }
+  );
+  const query = () => provider.lookup({ flightNumber: 'DL47', date: '2025-01-02', deadline: clock + 12000 });
+
+  await query();
+  clock = 1000;
+  assert.equal((await query()).error, 'missing_key');
+  assert.equal(provider.breaker().state, 'half_open');
+  assert.equal((await query()).ok, true);
+  assert.equal(provider.breaker().state, 'closed');
+});
+
+test('flight cache TTL depends on the date and on whether a tail is assigned', () => {
+  const ttl = { past: 1000, today: 100, unassigned: 10 };
+  const nowMs = Date.parse('2025-03-10T12:00:00Z');
+  const assigned = { ok: true, registration: 'N12345' };
+
+  assert.equal(flightCacheTtlMs('2025-03-08', assigned, { ttl, nowMs }), 1000);
+  assert.equal(flightCacheTtlMs('2025-03-09', assigned, { ttl, nowMs }), 100);
+  assert.equal(flightCacheTtlMs('2025-03-11', assigned, { ttl, nowMs }), 100);
+  assert.equal(flightCacheTtlMs('2025-03-08', { ok: true, registration: null, legs: [] }, { ttl, nowMs }), 10);
+  assert.equal(flightCacheTtlMs('2025-03-08', { ok: false, error: 'timeout' }, { ttl, nowMs }), 0);
+});
+
+test('cached tail lookup shares in-flight calls and expires entries', async () => {
+  let calls = 0;
+  let release;
+  const gate = new Promise((resolve) => (release = resolve));
+  const lookup = async () => {
+    calls++;
+    await gate;
+    return { ok: true, registration: 'N12345', provider: 'stub' };
+  };
+  let clock = 0;
+  const cachedLookup = createCachedTailLookup({
+    lookup,
+    store: createLruStore(10),
+    ttlMs: () => 1000,
+    now: () => clock,
+  });
+
+  const pending = [
+    cachedLookup({ flightNumber: 'DL 47', date: '2025-01-02' }),
+    cachedLookup({ flightNumber: 'dl47', date: '2025-01-02' }),
+  ];
+  release();
+  const [first, second] = await Promise.all(pending);
+  assert.equal(calls, 1);
+  assert.equal(first.cached, false);
+  assert.equal(second.cached, false);
+
+  const hit = await cachedLookup({ flightNumber: 'DL47', date: '2025-01-02' });
+  assert.equal(hit.cached, true);
+  assert.equal(hit.registration, 'N12345');
+  assert.equal(calls, 1);
+
+  clock = 1001;
+  assert.equal((await cachedLookup({ flightNumber: 'DL47', date: '2025-01-02' })).cached, false);
+  assert.equal(calls, 2);
+});
+
+test('LRU store evicts the least recently used entry', () => {
+  const store = createLruStore(2);
+  store.set('a', 1);
+  store.set('b', 2);
+  store.get('a');
+  store.set('c', 3);
+  assert.deepEqual(
+    store.entries().map(([key]) => key),
+    ['a', 'c']
+  );
+});
+
+test('file-backed flight cache survives a reload and drops expired entries', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'planeage-flight-cache-'));
+  const filePath = path.join(dir, 'flight-cache.json');
+  let clock = 0;
+
+  const store = createFileBackedStore(filePath, 10, { now: () => clock });
+  store.set('DL47|2025-01-02', { result: { ok: true, registration: 'N12345' }, expiresAt: 1000 });
+  store.set('DL48|2025-01-02', { result: { ok: true, registration: null }, expiresAt: 10 });
+  await store.flush();
+
+  clock = 500;
+  const reloaded = createFileBackedStore(filePath, 10, { now: () => clock });
+  assert.equal(reloaded.get('DL47|2025-01-02').result.registration, 'N12345');
+  assert.equal(reloaded.get('DL48|2025-01-02'), undefined);
+
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
 test('public bypass returns star wars demo aircraft', () => {
   const demo = getPublicBypassResult('TT111', '2025-01-01');
   assert.ok(demo);
   assert.equal(demo.age, 10);
   assert.ok(String(demo.model).toLowerCase().includes('x-wing'));
 });
+
+test('fleet operators resolve by slug, prefix or airline name', () => {
+  assert.equal(normalizeOperatorName('  Delta   Air Lines Inc '), 'DELTA AIR LINES INC');
+  assert.equal(fleetSlug('DELTA AIR LINES INC'), 'delta-air-lines-inc');
+
+  const fleet = (operator, count) => ({ operator, slug: fleetSlug(operator), count });
+  const summary = {
+    operators: [
+      fleet('DELTA AIR LINES INC', 900),
+      fleet('UNITED AIRLINES INC', 800),
+      fleet('UNITED PARCEL SERVICE CO', 300),
+    ],
+  };
+  const find = (query) => {
+    const { operator, candidates } = findFleetOperator(summary, query);
+    return [operator && operator.slug, candidates.map((c) => c.slug)];
+  };
+
+  assert.deepEqual(find('delta-air-lines-inc'), ['delta-air-lines-inc', []]);
+  assert.deepEqual(find('Delta'), ['delta-air-lines-inc', []]);
+  assert.deepEqual(find('DL'), ['delta-air-lines-inc', []]);
+  assert.deepEqual(find('united'), [null, ['united-airlines-inc', 'united-parcel-service-co']]);
+  assert.deepEqual(find('nobody'), [null, []]);
+});
+
+test('fleet age percentile counts half of the aircraft in the same year', () => {
+  const operator = {
+    histogram: [
+      { age: 2, count: 10 },
+      { age: 10, count: 80 },
+      { age: 30, count: 10 },
+    ],
+  };
+  assert.equal(fleetAgePercentile(operator, 30.4), 95);
+  assert.equal(fleetAgePercentile(operator, 10), 50);
+  assert.equal(fleetAgePercentile(operator, 0.5), 0);
+  assert.equal(fleetAgePercentile(operator, null), null);
+  assert.equal(fleetAgePercentile({ histogram: [] }, 5), null);
+});
+
+test('model families come from the family table, else the first numbered part of the model', () => {
+  assert.equal(modelFamilyName('BOEING', '737-832'), 'Boeing 737');
+  assert.equal(modelFamilyName('AIRBUS', 'A321-231'), 'Airbus A320');
+  assert.equal(modelFamilyName('DE HAVILLAND', 'DHC-8-402'), 'De Havilland Dash 8');
+  assert.equal(modelFamilyName('EMBRAER S A', 'ERJ 170-200 LR'), 'Embraer E-Jet');
+  assert.equal(modelFamilyName('DE HAVILLAND', 'DHC-6-300'), 'DE HAVILLAND DHC-6');
+  assert.equal(modelFamilyName('GULFSTREAM', 'G-IV'), 'GULFSTREAM G-IV');
+  assert.equal(modelFamilyName('', ''), null);
+});
+
+test('ACFTREF models normalize to a marketing family and variant', () => {
+  const name = (manufacturer, model) => normalizeAircraftModel(manufacturer, model).name;
+  assert.deepEqual(normalizeAircraftModel('BOEING', '737-8H4'), {
+    manufacturer: 'Boeing',
+    family: 'Boeing 737',
+    variant: 'Boeing 737-800',
+    name: 'Boeing 737-800',
+    mapped: true,
+  });
+  assert.equal(name('BOEING', '737-8'), 'Boeing 737 MAX 8');
+  assert.equal(name('BOEING', '737-924ER'), 'Boeing 737-900ER');
+  assert.equal(name('AIRBUS', 'A321-231'), 'Airbus A321ceo');
+  assert.equal(name('AIRBUS', 'A321-271NX'), 'Airbus A321neo');
+  assert.equal(name('AIRBUS CANADA LTD PTNRSP', 'BD-500-1A11'), 'Airbus A220-300');
+  assert.equal(name('BOMBARDIER INC', 'CL-600-2D24'), 'Bombardier CRJ900');
+  assert.equal(name('EMBRAER', 'EMB-145LR'), 'Embraer ERJ 145');
+  assert.equal(name('MCDONNELL DOUGLAS', 'DC-9-82(MD-82)'), 'McDonnell Douglas MD-82');
+
+  assert.deepEqual(normalizeAircraftModel('CESSNA', '172S'), {
+    manufacturer: 'Cessna',
+    family: null,
+    variant: null,
+    name: 'Cessna 172S',
+    mapped: false,
+  });
+  assert.equal(name('AMERICAN CHAMPION AIRCRAFT', '8KCAB'), 'American Champion Aircraft 8KCAB');
+  assert.equal(normalizeAircraftModel('', ''), null);
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'planeage-families-'));
+  const filePath = path.join(dir, 'families.json');
+  const broken = { families: [{ manufacturer: 'Boeing', model: '737-(', family: 'x', variant: 'y' }] };
+  fs.writeFileSync(filePath, JSON.stringify(broken));
+  assert.throws(() => loadAircraftFamilies(filePath), /invalid pattern/);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
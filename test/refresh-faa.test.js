@@ -0,0 +1,337 @@
+const test = require('node:test');
+const assert = require('assert/strict');
+const path = require('path');
+const os = require('os');
+const fs = require('fs');
+
+const {
+  validateRefreshData,
+  diffMasterFiles,
+  pruneLocalChangelogs,
+  applySnapshotRetention,
+  buildFleetSummary,
+  buildModelSummary,
+  extractFromZip,
+  refreshFaa,
+  sourceFromArgs,
+} = require('../scripts/refresh-faa');
+const crypto = require('crypto');
+const { resolveAircraftSpecsByNNumber } = require('../server');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const FIXTURE_MIN_ROWS = { MASTER: 1, ACFTREF: 1, DEREG: 1, ENGINE: 1 };
+
+async function withDataDir(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'planeage-refresh-'));
+  const previous = process.env.FAA_DATA_DIR;
+  process.env.FAA_DATA_DIR = dir;
+  try {
+    return await fn(dir);
+  } finally {
+    if (previous === undefined) delete process.env.FAA_DATA_DIR;
+    else process.env.FAA_DATA_DIR = previous;
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+const MASTER_HEADER =
+  'N-NUMBER,SERIAL NUMBER,MFR MDL CODE,YEAR MFR,NAME,STATUS CODE,KIT MFR, KIT MODEL,';
+
+function writeMaster(dir, name, rows) {
+  const filePath = path.join(dir, name);
+  const lines = rows.map(([n, owner, status]) => `${n},S-${n},0001234,2001,${owner},${status},,,`);
+  fs.writeFileSync(filePath, [MASTER_HEADER, ...lines].join('\r\n') + '\r\n');
+  return filePath;
+}
+
+test('MASTER diff reports registrations, cancellations, owner and status changes', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'planeage-diff-'));
+  const before = writeMaster(dir, 'before.csv', [
+    ['100AA', 'ALPHA LLC', 'V'],
+    ['200BB', 'BRAVO INC', 'V'],
+    ['300CC', 'CHARLIE', 'V'],
+  ]);
+  const after = writeMaster(dir, 'after.csv', [
+    ['100AA', 'ALPHA LLC', 'V'],
+    ['200BB', 'DELTA AIR LINES INC', 'V'],
+    ['300CC', 'CHARLIE', '27'],
+    ['400DD', 'ECHO', 'V'],
+  ]);
+
+  const diff = await diffMasterFiles(before, after);
+  assert.equal(diff.previousRows, 3);
+  assert.equal(diff.currentRows, 4);
+  assert.deepEqual(diff.counts, { added: 1, removed: 0, ownerChanged: 1, statusChanged: 1 });
+  assert.deepEqual(diff.added, ['400DD']);
+  assert.deepEqual(diff.ownerChanged, [{ nNumber: '200BB', from: 'BRAVO INC', to: 'DELTA AIR LINES INC' }]);
+  assert.deepEqual(diff.statusChanged, [{ nNumber: '300CC', from: 'V', to: '27' }]);
+
+  const reverse = await diffMasterFiles(after, before);
+  assert.deepEqual(reverse.removed, ['400DD']);
+
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function writeFleetMaster(dir) {
+  const masterPath = path.join(dir, 'master.csv');
+  const rows = [
+    ['1AA', '0001234', '2000', 'BIG AIR INC'],
+    ['2AA', '0001234', '2010', 'Big  Air Inc'],
+    ['3AA', '0009999', '2020', 'BIG AIR INC'],
+    ['4AA', '0009999', '', 'BIG AIR INC'],
+    ['5AA', '0001234', '2015', 'SOLO FLYER'],
+  ];
+  const lines = rows.map(([n, code, year, name]) => `${n},${code},${year},${name},,,`);
+  const header = 'N-NUMBER,MFR MDL CODE,YEAR MFR,NAME,KIT MFR, KIT MODEL,';
+  fs.writeFileSync(masterPath, [header, ...lines].join('\r\n'));
+  return masterPath;
+}
+
+test('fleet summary groups MASTER by registrant with ages and models', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'planeage-fleet-'));
+  const masterPath = writeFleetMaster(dir);
+
+  try {
+    const acftRefPath = path.join(FIXTURES, 'acftref.sample.csv');
+    const summary = await buildFleetSummary(masterPath, acftRefPath, { asOf: '2025-07-01', minAircraft: 1 });
+    assert.equal(summary.asOf, '2025-07-01');
+    assert.deepEqual(summary.operators.map((o) => o.slug), ['big-air-inc']);
+
+    const [fleet] = summary.operators;
+    assert.equal(fleet.count, 4);
+    assert.equal(fleet.unknownAge, 1);
+    assert.equal(fleet.medianAge, 15);
+    assert.deepEqual(fleet.oldest, { registration: 'N1AA', model: 'Boeing 737-800', age: 25 });
+    assert.deepEqual(fleet.histogram, [
+      { age: 5, count: 1 },
+      { age: 15, count: 1 },
+      { age: 25, count: 1 },
+    ]);
+    assert.deepEqual(fleet.models, [
+      { model: 'Boeing 737-800', count: 2, meanAge: 20 },
+      { model: null, count: 2, meanAge: 5 },
+    ]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('model summary holds the age distribution per ACFTREF code and family', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'planeage-models-'));
+  const masterPath = writeFleetMaster(dir);
+  const acftRefPath = path.join(dir, 'acftref.csv');
+  const acftRef = fs.readFileSync(path.join(FIXTURES, 'acftref.sample.csv'), 'utf8').trimEnd();
+  fs.writeFileSync(acftRefPath, `${acftRef}\r\n0009999,FOKKER,100,5,5,1,,2,107,CLASS 3,,,,\r\n`);
+
+  try {
+    const summary = await buildModelSummary(masterPath, acftRefPath, { asOf: '2025-07-01', minAircraft: 2 });
+    assert.deepEqual(summary.models, {
+      '0001234': {
+        name: 'Boeing 737-800',
+        family: 'Boeing 737',
+        count: 3,
+        medianAge: 15,
+        histogram: [
+          { age: 10, count: 1 },
+          { age: 15, count: 1 },
+          { age: 25, count: 1 },
+        ],
+      },
+    });
+    assert.deepEqual(Object.keys(summary.families), ['Boeing 737']);
+    assert.deepEqual(summary.unmapped, [{ code: '0009999', manufacturer: 'FOKKER', model: '100', seats: 107, count: 1 }]);
+
+    const strict = await buildModelSummary(masterPath, acftRefPath, { asOf: '2025-07-01', minAircraft: 3 });
+    assert.deepEqual(strict.models, {});
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('snapshot retention drops the oldest entries but keeps shared files', () => {
+  const snapshots = [
+    { updatedAt: '2025-02-01T00:00:00Z', master: 'faa/master-b.csv', acftref: 'faa/acftref-a.csv' },
+    { updatedAt: '2025-01-01T00:00:00Z', master: 'faa/master-a.csv', acftref: 'faa/acftref-a.csv' },
+    { updatedAt: '2025-03-01T00:00:00Z', master: 'faa/master-c.csv', acftref: 'faa/acftref-c.csv' },
+  ];
+
+  const { kept, dropped, orphaned } = applySnapshotRetention(snapshots, 2);
+  assert.deepEqual(
+    kept.map((e) => e.master),
+    ['faa/master-b.csv', 'faa/master-c.csv']
+  );
+  assert.deepEqual(
+    dropped.map((e) => e.master),
+    ['faa/master-a.csv']
+  );
+  assert.deepEqual(orphaned, ['faa/master-a.csv']);
+});
+
+test('changelog retention keeps the newest files', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'planeage-changelogs-'));
+  for (const stamp of ['20250101T000000Z', '20250108T000000Z', '20250115T000000Z']) {
+    fs.writeFileSync(path.join(dir, `changelog-${stamp}.json`), '{}');
+  }
+
+  await pruneLocalChangelogs(dir, 2);
+  assert.deepEqual(fs.readdirSync(dir).sort(), [
+    'changelog-20250108T000000Z.json',
+    'changelog-20250115T000000Z.json',
+  ]);
+
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('sanity gate rejects short, shrunken or duplicated MASTER data', () => {
+  const limits = { minRows: { MASTER: 3, ACFTREF: 1, DEREG: 1 }, maxShrinkPct: 10 };
+  const good = {
+    masterStats: { rows: 100, uniqueKeys: 100, duplicateKeys: [] },
+    acftRefRows: 5,
+    deregStats: { rows: 5 },
+    previousMasterRows: 105,
+  };
+  assert.doesNotThrow(() => validateRefreshData(good, limits));
+
+  assert.throws(
+    () => validateRefreshData({ ...good, masterStats: { rows: 2, uniqueKeys: 2, duplicateKeys: [] } }, limits),
+    /MASTER has 2 rows \(minimum 3\)/
+  );
+  assert.throws(
+    () => validateRefreshData({ ...good, previousMasterRows: 1000 }, limits),
+    /MASTER shrank 90\.0%/
+  );
+  assert.throws(
+    () =>
+      validateRefreshData(
+        { ...good, masterStats: { rows: 100, uniqueKeys: 99, duplicateKeys: ['123AB'] } },
+        limits
+      ),
+    /1 duplicate N-number row\(s\) \(e\.g\. 123AB\)/
+  );
+});
+
+test('refresh source comes from --source, then FAA_SOURCE', () => {
+  assert.equal(sourceFromArgs(['--source', '/tmp/faa.zip']), '/tmp/faa.zip');
+  assert.equal(sourceFromArgs(['--source=/tmp/faa']), '/tmp/faa');
+  assert.throws(() => sourceFromArgs(['--source']), /Usage/);
+  assert.throws(() => sourceFromArgs(['--source=']), /Usage/);
+  assert.throws(() => sourceFromArgs(['--source', '--verbose']), /Usage/);
+
+  const previous = process.env.FAA_SOURCE;
+  process.env.FAA_SOURCE = '/srv/ReleasableAircraft.zip';
+  try {
+    assert.equal(sourceFromArgs([]), '/srv/ReleasableAircraft.zip');
+  } finally {
+    if (previous === undefined) delete process.env.FAA_SOURCE;
+    else process.env.FAA_SOURCE = previous;
+  }
+});
+
+test('zip entries stream to disk with checksums in one pass', async () => {
+  await withDataDir(async (dir) => {
+    const results = await extractFromZip(path.join(FIXTURES, 'ReleasableAircraft.zip'), [
+      { name: 'dereg.txt', destPath: path.join(dir, 'DEREG.txt') },
+      { name: 'master.txt', destPath: path.join(dir, 'MASTER.txt') },
+    ]);
+
+    const expected = fs.readFileSync(path.join(FIXTURES, 'faa', 'MASTER.txt'));
+    assert.deepEqual(fs.readFileSync(path.join(dir, 'MASTER.txt')), expected);
+    assert.equal(results['master.txt'].bytes, expected.length);
+    assert.equal(results['master.txt'].sha256, crypto.createHash('sha256').update(expected).digest('hex'));
+    assert.ok(fs.existsSync(path.join(dir, 'DEREG.txt')));
+
+    await assert.rejects(
+      extractFromZip(path.join(FIXTURES, 'ReleasableAircraft.zip'), [
+        { name: 'dealer.txt', destPath: path.join(dir, 'DEALER.txt') },
+      ]),
+      /dealer\.txt not found in zip/
+    );
+  });
+});
+
+test('corrupted zip data fails the integrity check', async () => {
+  await withDataDir(async (dir) => {
+    const zip = fs.readFileSync(path.join(FIXTURES, 'ReleasableAircraft.zip'));
+    const corrupted = Buffer.from(zip);
+    corrupted[60] ^= 0xff; // inside ACFTREF.txt, the first entry's compressed data
+    const zipPath = path.join(dir, 'corrupted.zip');
+    fs.writeFileSync(zipPath, corrupted);
+
+    await assert.rejects(
+      extractFromZip(zipPath, [{ name: 'acftref.txt', destPath: path.join(dir, 'ACFTREF.txt') }])
+    );
+    assert.ok(!fs.existsSync(path.join(dir, 'ACFTREF.txt')));
+  });
+});
+
+test('offline refresh from a fixture zip, then a directory, publishes and diffs', async () => {
+  await withDataDir(async (dir) => {
+    const zipPath = path.join(FIXTURES, 'ReleasableAircraft.zip');
+    await refreshFaa({ source: zipPath, validation: { minRows: FIXTURE_MIN_ROWS } });
+
+    const published = [
+      'master.csv',
+      'acftref.csv',
+      'dereg.csv',
+      'master.idx',
+      'master-hex.idx',
+      'dereg.idx',
+      'engine.csv',
+      'fleet.json',
+      'models.json',
+    ];
+    for (const name of published) {
+      assert.ok(fs.existsSync(path.join(dir, name)), name);
+    }
+    assert.ok(fs.existsSync(zipPath), 'a local source zip is never deleted');
+    assert.ok(!fs.existsSync(path.join(dir, 'MASTER.txt')));
+
+    const aircraft = await resolveAircraftSpecsByNNumber('123AB', {
+      masterPath: path.join(dir, 'master.csv'),
+      masterIndexPath: path.join(dir, 'master.idx'),
+      acftRefPath: path.join(dir, 'acftref.csv'),
+    });
+    assert.equal(aircraft.year, '2015');
+    assert.equal(aircraft.aircraftType, 'BOEING 737-800');
+    assert.equal(aircraft.variant, 'Boeing 737-800');
+
+    await refreshFaa({ source: path.join(FIXTURES, 'faa'), validation: { minRows: FIXTURE_MIN_ROWS } });
+    const changelogs = fs.readdirSync(path.join(dir, 'changelogs'));
+    assert.equal(changelogs.length, 1);
+    const changelog = JSON.parse(fs.readFileSync(path.join(dir, 'changelogs', changelogs[0]), 'utf8'));
+    assert.deepEqual(changelog.counts, { added: 0, removed: 0, ownerChanged: 0, statusChanged: 0 });
+
+    const history = JSON.parse(fs.readFileSync(path.join(dir, 'snapshots', 'history.json'), 'utf8'));
+    assert.ok(history.snapshots.length >= 1);
+    assert.ok(fs.existsSync(path.join(dir, history.snapshots[0].master)));
+    const masterText = fs.readFileSync(path.join(FIXTURES, 'faa', 'MASTER.txt'));
+    assert.deepEqual(history.snapshots[0].checksums.master, {
+      sha256: crypto.createHash('sha256').update(masterText).digest('hex'),
+      bytes: masterText.length,
+    });
+  });
+});
+
+test('offline refresh that fails the sanity gate leaves current data in place', async () => {
+  await withDataDir(async (dir) => {
+    await refreshFaa({ source: path.join(FIXTURES, 'faa'), validation: { minRows: FIXTURE_MIN_ROWS } });
+    const before = fs.readFileSync(path.join(dir, 'master.csv'));
+
+    await assert.rejects(
+      refreshFaa({
+        source: path.join(FIXTURES, 'ReleasableAircraft.zip'),
+        validation: { minRows: { ...FIXTURE_MIN_ROWS, MASTER: 1000 } },
+      }),
+      (err) => err.code === 'FAA_VALIDATION'
+    );
+    assert.deepEqual(fs.readFileSync(path.join(dir, 'master.csv')), before);
+    assert.ok(!fs.existsSync(path.join(dir, 'MASTER.txt')));
+  });
+});
+
+test('offline refresh rejects a source without the FAA files', async () => {
+  await withDataDir(async (dir) => {
+    await assert.rejects(refreshFaa({ source: dir }), /master\.txt not found/);
+    await assert.rejects(refreshFaa({ source: path.join(dir, 'missing.zip') }), /FAA source not found/);
+  });
+});